@@ -1,30 +1,147 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect } from 'react'
 import './App.css'
 import DropZone from './components/DropZone'
 import ConfigPanel from './components/ConfigPanel'
-import { setOrder, startProcess, getStatus, getDownloadUrl, reset } from './api.js'
+import SyncPanel from './components/SyncPanel'
+import HistoryPanel from './components/HistoryPanel'
+import ProjectPicker from './components/ProjectPicker'
+import { listUploads, getOrder, setOrder, addCamera, removeCamera, startProcess, subscribeToJob, cancelJob, resumeJob, getDownloadUrl, reset } from './api.js'
+
+const DEFAULT_CONFIG = {
+  crf: 35,
+  preset: 'slower',
+  maxWidth: null,
+  audioBitrate: '96k',
+  concatenateFirst: true,
+  syncOffsets: {},
+  offsetSeconds: {},
+  gapFill: 'black',
+  mismatchStrategy: 'pad-end',
+  padFill: 'freeze',
+  mismatchTolerance: 300,
+  layout: 'hstack',
+  pipCorner: 'bottom-right',
+  pipSize: 0.3,
+  labels: {},
+  scales: {},
+  labelPosition: 'top-left',
+  labelSize: 0.06,
+  labelBox: true,
+  audioMode: 'stereo',
+  audioGains: {},
+  denoise: false,
+  normalizeLoudness: false,
+  deadTime: 'off',
+  deadTimeMinIdle: 10,
+  deadTimeSpeed: 8,
+  deadTimeMotionThreshold: -50,
+  deadTimeSoundThreshold: -40
+}
+
+// Put uploads in their saved order; anything not in it goes last, by filename
+function applyOrder(files, ids = []) {
+  const position = new Map(ids.map((id, index) => [id, index]))
+  const ordered = files
+    .filter(f => position.has(f.id))
+    .sort((x, y) => position.get(x.id) - position.get(y.id))
+  const rest = files
+    .filter(f => !position.has(f.id))
+    .sort((x, y) => x.filename.localeCompare(y.filename, undefined, { numeric: true }))
+  return [...ordered, ...rest]
+}
+
+// Where a camera ends up in the output: two or three cameras sit side by side
+function describePosition(index, count) {
+  if (count === 2) return index === 0 ? ' (Left)' : ' (Right)'
+  if (count === 3) return [' (Left)', ' (Middle)', ' (Right)'][index]
+  return ''
+}
 
 function App() {
+  const [project, setProject] = useState(null)
   const [progress, setProgress] = useState(0)
   const [downloadUrl, setDownloadUrl] = useState(null)
-  const [filesA, setFilesA] = useState([])
-  const [filesB, setFilesB] = useState([])
-  const [config, setConfig] = useState({
-    crf: 35,
-    preset: 'slower',
-    maxWidth: null,
-    audioBitrate: '96k',
-    concatenateFirst: true
-  })
+  const [files, setFiles] = useState({})
+  const [config, setConfig] = useState(DEFAULT_CONFIG)
 
   // Processing state
   const [isProcessing, setIsProcessing] = useState(false)
   const [jobId, setJobId] = useState(null)
   const [status, setStatus] = useState('idle')
   const [error, setError] = useState(null)
+  const [stage, setStage] = useState(null)
+  const [lastLog, setLastLog] = useState(null)
+
+  const projectId = project?.id
+  const cameras = project?.cameras || []
+  const filesOf = (camera) => files[camera] || []
+
+  const clearJobState = () => {
+    setProgress(0)
+    setDownloadUrl(null)
+    setError(null)
+    setStatus('idle')
+    setIsProcessing(false)
+    setJobId(null)
+    setStage(null)
+    setLastLog(null)
+  }
+
+  const handleSelectProject = async (selected) => {
+    setProject(selected)
+    setFiles({})
+    setConfig(selected?.config || DEFAULT_CONFIG)
+    clearJobState()
 
-  // Ref for polling interval
-  const pollingIntervalRef = useRef(null)
+    if (!selected) {
+      return
+    }
+
+    // Restore what is already uploaded, in the saved order
+    try {
+      const [order, ...uploads] = await Promise.all([
+        getOrder(selected.id),
+        ...selected.cameras.map(camera => listUploads(selected.id, camera))
+      ])
+      setFiles(Object.fromEntries(selected.cameras.map((camera, i) => [camera, applyOrder(uploads[i], order[camera])])))
+    } catch (err) {
+      setError(err.message || 'Failed to load uploaded files')
+    }
+  }
+
+  const toOrder = (filesByCamera) => Object.fromEntries(
+    cameras.map(camera => [camera, (filesByCamera[camera] || []).map(f => f.id)])
+  )
+
+  // Save the order on every change so a page reload can restore it
+  const handleFilesChange = (camera, cameraFiles) => {
+    const updated = { ...files, [camera]: cameraFiles }
+    setFiles(updated)
+    setOrder(projectId, toOrder(updated))
+      .catch(err => console.error('Saving order failed:', err))
+  }
+
+  const handleAddCamera = async () => {
+    try {
+      setProject(await addCamera(projectId))
+    } catch (err) {
+      setError(err.message || 'Failed to add camera')
+    }
+  }
+
+  const handleRemoveCamera = async (camera) => {
+    if (!window.confirm(`Remove Camera ${camera.toUpperCase()} and its uploaded videos?`)) {
+      return
+    }
+
+    try {
+      setProject(await removeCamera(projectId, camera))
+      const { [camera]: _removed, ...rest } = files
+      setFiles(rest)
+    } catch (err) {
+      setError(err.message || 'Failed to remove camera')
+    }
+  }
 
   const handleProcess = async () => {
     try {
@@ -33,15 +150,15 @@ function App() {
       setProgress(0)
       setDownloadUrl(null)
       setError(null)
+      setStage(null)
+      setLastLog(null)
       setStatus('processing')
 
       // Set file order
-      const orderA = filesA.map(f => f.id)
-      const orderB = filesB.map(f => f.id)
-      await setOrder(orderA, orderB)
+      await setOrder(projectId, toOrder(files))
 
       // Start processing
-      const response = await startProcess({ config })
+      const response = await startProcess(projectId, { config })
       setJobId(response.jobId)
     } catch (err) {
       setError(err.message || 'Failed to start processing')
@@ -50,92 +167,80 @@ function App() {
     }
   }
 
-  const handleReset = async () => {
+  const handleCancel = async () => {
     try {
-      // Call backend reset endpoint
-      await reset()
+      await cancelJob(jobId)
 
-      // Reset all frontend state
-      setFilesA([])
-      setFilesB([])
+      setStatus('cancelled')
+      setIsProcessing(false)
       setProgress(0)
-      setDownloadUrl(null)
+      setError('Processing cancelled')
+    } catch (err) {
+      setError(err.message || 'Failed to cancel processing')
+    }
+  }
+
+  const handleResume = async () => {
+    try {
+      const job = await resumeJob(jobId)
+
       setError(null)
-      setStatus('idle')
-      setIsProcessing(false)
-      setJobId(null)
+      setProgress(job.progress || 0)
+      setStatus('processing')
+      setIsProcessing(true)
+    } catch (err) {
+      setError(err.message || 'Failed to resume processing')
+    }
+  }
 
-      // Clear polling interval if running
-      if (pollingIntervalRef.current) {
-        clearInterval(pollingIntervalRef.current)
-        pollingIntervalRef.current = null
-      }
+  const handleReset = async () => {
+    try {
+      // Call backend reset endpoint
+      await reset(projectId)
+
+      // Reset all frontend state
+      setFiles({})
+      clearJobState()
     } catch (err) {
       setError(err.message || 'Failed to reset')
     }
   }
 
-  // Poll for status when jobId is set
+  // Follow job progress (SSE stream, or polling if SSE is unavailable)
   useEffect(() => {
     if (!jobId || status !== 'processing') {
       return
     }
 
-    const pollStatus = async () => {
-      try {
-        const statusResponse = await getStatus(jobId)
-
-        // Update progress
-        if (statusResponse.progress !== undefined) {
-          setProgress(statusResponse.progress)
+    const unsubscribe = subscribeToJob(jobId, {
+      onUpdate: (update) => {
+        if (update.progress !== undefined) {
+          setProgress(update.progress)
+        }
+        if (update.stage !== undefined) {
+          setStage(update.stage)
         }
 
-        // Check status
-        if (statusResponse.status === 'done') {
+        if (update.status === 'done') {
           setStatus('done')
           setIsProcessing(false)
           setDownloadUrl(getDownloadUrl(jobId))
-
-          // Clear polling interval
-          if (pollingIntervalRef.current) {
-            clearInterval(pollingIntervalRef.current)
-            pollingIntervalRef.current = null
-          }
-        } else if (statusResponse.status === 'error') {
+        } else if (update.status === 'error' || update.status === 'interrupted') {
           setStatus('error')
-          setError(statusResponse.error || 'Processing failed')
+          setError(update.error || 'Processing failed')
           setIsProcessing(false)
-
-          // Clear polling interval
-          if (pollingIntervalRef.current) {
-            clearInterval(pollingIntervalRef.current)
-            pollingIntervalRef.current = null
-          }
-        }
-      } catch (err) {
-        setError(err.message || 'Failed to get status')
-        setIsProcessing(false)
-        setStatus('error')
-
-        // Clear polling interval
-        if (pollingIntervalRef.current) {
-          clearInterval(pollingIntervalRef.current)
-          pollingIntervalRef.current = null
+        } else if (update.status === 'cancelled') {
+          setStatus('cancelled')
+          setError('Processing cancelled')
+          setIsProcessing(false)
+          setProgress(0)
         }
-      }
-    }
-
-    // Start polling
-    pollStatus() // Initial poll
-    pollingIntervalRef.current = setInterval(pollStatus, 1000)
+      },
+      onLog: setLastLog
+    })
 
-    // Cleanup on unmount or when jobId/status changes
-    return () => {
-      if (pollingIntervalRef.current) {
-        clearInterval(pollingIntervalRef.current)
-        pollingIntervalRef.current = null
-      }
-    }
+    // Unsubscribe on unmount or when jobId/status changes
+    return unsubscribe
   }, [jobId, status])
 
   return (
@@ -144,27 +249,56 @@ function App() {
         <h1>KodiTraining - Dual Camera Video Processor</h1>
       </header>
 
+      <ProjectPicker
+        project={project}
+        onSelect={handleSelectProject}
+        disabled={isProcessing}
+      />
+
       <div className="container">
-        <div className="column">
-          <h2>Camera A (Left)</h2>
-          <DropZone
-            camera="a"
-            files={filesA}
-            onFilesChange={setFilesA}
-          />
-        </div>
+        {cameras.map((camera, index) => (
+          <div key={`${projectId}-${camera}`} className="column">
+            <div className="column-header">
+              <h2>Camera {camera.toUpperCase()}{describePosition(index, cameras.length)}</h2>
+              {index > 0 && cameras.length > 2 && (
+                <button
+                  className="camera-remove"
+                  onClick={() => handleRemoveCamera(camera)}
+                  disabled={isProcessing}
+                  title={`Remove Camera ${camera.toUpperCase()}`}
+                >
+                  ×
+                </button>
+              )}
+            </div>
+            <DropZone
+              projectId={projectId}
+              camera={camera}
+              files={filesOf(camera)}
+              onFilesChange={(cameraFiles) => handleFilesChange(camera, cameraFiles)}
+            />
+          </div>
+        ))}
+      </div>
 
-        <div className="column">
-          <h2>Camera B (Right)</h2>
-          <DropZone
-            camera="b"
-            files={filesB}
-            onFilesChange={setFilesB}
-          />
+      {projectId && (
+        <div className="camera-controls">
+          <button className="camera-add" onClick={handleAddCamera} disabled={isProcessing}>
+            + Add camera
+          </button>
         </div>
-      </div>
+      )}
+
+      <SyncPanel
+        key={`sync-${projectId}`}
+        projectId={projectId}
+        cameras={cameras}
+        firstFiles={Object.fromEntries(cameras.map(camera => [camera, filesOf(camera)[0]]))}
+        config={config}
+        onChange={(changes) => setConfig({ ...config, ...changes })}
+      />
 
-      <ConfigPanel config={config} onChange={setConfig} />
+      <ConfigPanel key={projectId} config={config} cameras={cameras.length > 0 ? cameras : ['a', 'b']} onChange={setConfig} />
 
       <div className="controls">
         <button
@@ -172,9 +306,9 @@ function App() {
           onClick={handleProcess}
           disabled={
             isProcessing ||
-            filesA.length === 0 ||
-            filesB.length === 0 ||
-            (!config.concatenateFirst && filesA.length !== filesB.length)
+            !projectId ||
+            cameras.some(camera => filesOf(camera).length === 0) ||
+            (!config.concatenateFirst && cameras.some(camera => filesOf(camera).length !== filesOf(cameras[0]).length))
           }
         >
           {isProcessing ? 'Processing...' : 'Process Videos'}
@@ -182,7 +316,7 @@ function App() {
         <button
           className="reset-button"
           onClick={handleReset}
-          disabled={isProcessing}
+          disabled={isProcessing || !projectId}
         >
           Reset
         </button>
@@ -191,18 +325,42 @@ function App() {
       {error && (
         <div className="error-container">
           <p className="error-message">{error}</p>
+          {jobId && (status === 'error' || status === 'cancelled') && (
+            <button
+              className="resume-button"
+              onClick={handleResume}
+            >
+              Resume
+            </button>
+          )}
         </div>
       )}
 
-      {progress > 0 && (
+      {(progress > 0 || isProcessing) && (
         <div className="progress-container">
-          <div className="progress-bar">
-            <div
-              className="progress-fill"
-              style={{ width: `${progress}%` }}
-            />
+          <div className="progress-row">
+            <div className="progress-bar">
+              <div
+                className="progress-fill"
+                style={{ width: `${progress}%` }}
+              />
+            </div>
+            {isProcessing && jobId && (
+              <button
+                className="cancel-button"
+                onClick={handleCancel}
+              >
+                Cancel
+              </button>
+            )}
           </div>
           <p className="progress-text">{progress}%</p>
+          {isProcessing && (stage || lastLog) && (
+            <p className="progress-stage">
+              {stage && <span className="progress-stage-name">{stage}</span>}
+              {lastLog}
+            </p>
+          )}
         </div>
       )}
 
@@ -217,6 +375,9 @@ function App() {
           </a>
         </div>
       )}
+
+      {/* Reload the library whenever a job starts or finishes */}
+      {projectId && <HistoryPanel projectId={projectId} refreshKey={status} />}
     </div>
   )
 }
@@ -3,18 +3,278 @@
  */
 
 /**
- * Upload a file to a specific camera
- * @param {string} camera - 'A' or 'B'
+ * List all projects (most recently used first)
+ * @returns {Promise<Object[]>} Projects
+ */
+export async function listProjects() {
+  const response = await fetch('/api/projects');
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to list projects');
+  }
+
+  return response.json();
+}
+
+/**
+ * Create a named project
+ * @param {string} name - Project name
+ * @returns {Promise<Object>} The new project
+ */
+export async function createProject(name) {
+  const response = await fetch('/api/projects', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ name }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to create project');
+  }
+
+  return response.json();
+}
+
+/**
+ * Update a project's name and/or saved config
+ * @param {string} projectId - Project ID
+ * @param {Object} updates - { name?, config? }
+ * @returns {Promise<Object>} The updated project
+ */
+export async function updateProject(projectId, updates) {
+  const response = await fetch(`/api/projects/${projectId}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(updates),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to update project');
+  }
+
+  return response.json();
+}
+
+/**
+ * Delete a project with its uploads and jobs
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} Response confirming deletion
+ */
+export async function deleteProject(projectId) {
+  const response = await fetch(`/api/projects/${projectId}`, {
+    method: 'DELETE',
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to delete project');
+  }
+
+  return response.json();
+}
+
+/**
+ * Add the next camera (C, D, ...) to a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} The updated project
+ */
+export async function addCamera(projectId) {
+  const response = await fetch(`/api/projects/${projectId}/cameras`, {
+    method: 'POST',
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to add camera');
+  }
+
+  return response.json();
+}
+
+/**
+ * Remove a camera and its uploads from a project
+ * @param {string} projectId - Project ID
+ * @param {string} camera - Camera to remove
+ * @returns {Promise<Object>} The updated project
+ */
+export async function removeCamera(projectId, camera) {
+  const response = await fetch(`/api/projects/${projectId}/cameras/${camera}`, {
+    method: 'DELETE',
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to remove camera');
+  }
+
+  return response.json();
+}
+
+/**
+ * List the videos already uploaded for a camera
+ * @param {string} projectId - Project ID
+ * @param {string} camera - 'a', 'b', ...
+ * @param {string} [sort] - Order by 'creation_time', 'mtime' or 'filename' (natural)
+ * @returns {Promise<Object[]>} Uploads with id, filename, duration and size
+ */
+export async function listUploads(projectId, camera, sort) {
+  const query = sort ? `?sort=${encodeURIComponent(sort)}` : '';
+  const response = await fetch(`/api/projects/${projectId}/upload/${camera}${query}`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to list uploads');
+  }
+
+  return response.json();
+}
+
+// Large camera files go up in chunks so a dropped connection only costs one chunk
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 5;
+const UPLOAD_SESSION_PREFIX = 'koditraining.upload.';
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Look up an unfinished upload session, if the server still has it
+ * @param {string} sessionsUrl - Base URL of the camera's upload sessions
+ * @param {string|null} sessionId - Session ID remembered from an earlier attempt
+ * @returns {Promise<Object|null>} The session with its current offset, or null
+ */
+async function findUploadSession(sessionsUrl, sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const response = await fetch(`${sessionsUrl}/${sessionId}`);
+  return response.ok ? response.json() : null;
+}
+
+/**
+ * Send a session's remaining chunks, retrying failed ones with backoff
+ * @returns {Promise<void>} Resolves once the server has every byte
+ */
+async function sendChunks(sessionsUrl, session, file, { onProgress, onRetry, signal }) {
+  let offset = session.offset;
+  let failures = 0;
+  onProgress?.(offset, file.size);
+
+  while (offset < file.size) {
+    let response = null;
+    let failure = null;
+
+    try {
+      response = await fetch(`${sessionsUrl}/${session.id}?offset=${offset}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+        body: file.slice(offset, offset + CHUNK_SIZE),
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) {
+        throw err;
+      }
+      failure = err;
+    }
+
+    if (response && response.status < 500) {
+      const result = await response.json();
+
+      // 409 means the server has a different offset (e.g. a retried chunk
+      // had arrived after all) - carry on from there
+      if (!response.ok && response.status !== 409) {
+        throw new Error(result.error || 'Upload failed');
+      }
+
+      offset = result.offset;
+      failures = 0;
+      onProgress?.(offset, file.size);
+      continue;
+    }
+
+    // Network error or server hiccup: back off and try the chunk again
+    failures++;
+    if (failures > MAX_CHUNK_RETRIES) {
+      throw new Error(failure?.message || `Upload failed (HTTP ${response.status})`);
+    }
+    onRetry?.(failures, failure || new Error(`HTTP ${response.status}`));
+    await sleep(1000 * 2 ** (failures - 1), signal);
+  }
+}
+
+/**
+ * Upload a file to a specific camera, in resumable chunks.
+ * Failed chunks are retried with backoff; dropping the same file again
+ * (even after a page reload) continues where the last attempt stopped.
+ * @param {string} projectId - Project ID
+ * @param {string} camera - 'a', 'b', ...
  * @param {File} file - The video file to upload
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (bytesUploaded, totalBytes)
+ * @param {Function} [options.onRetry] - Called with (attempt, error) before a chunk is retried
+ * @param {AbortSignal} [options.signal] - Aborting cancels the upload and discards what was sent
  * @returns {Promise<Object>} Response with file info
  */
-export async function uploadFile(camera, file) {
-  const formData = new FormData();
-  formData.append('video', file);
+export async function uploadFile(projectId, camera, file, { onProgress, onRetry, signal } = {}) {
+  const sessionsUrl = `/api/projects/${projectId}/upload/${camera}/sessions`;
+  const sessionKey = `${UPLOAD_SESSION_PREFIX}${projectId}/${camera}/${file.name}/${file.size}/${file.lastModified}`;
+
+  let session = await findUploadSession(sessionsUrl, localStorage.getItem(sessionKey));
+
+  if (!session) {
+    const response = await fetch(sessionsUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ filename: file.name, size: file.size, lastModified: file.lastModified }),
+      signal,
+    });
 
-  const response = await fetch(`/upload/${camera}`, {
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Upload failed');
+    }
+
+    session = await response.json();
+    localStorage.setItem(sessionKey, session.id);
+  }
+
+  try {
+    await sendChunks(sessionsUrl, session, file, { onProgress, onRetry, signal });
+  } catch (err) {
+    if (signal?.aborted) {
+      // Cancelled on purpose: nothing to resume later
+      localStorage.removeItem(sessionKey);
+      fetch(`${sessionsUrl}/${session.id}`, { method: 'DELETE' }).catch(() => {});
+    }
+    throw err;
+  }
+
+  const response = await fetch(`${sessionsUrl}/${session.id}/complete`, {
     method: 'POST',
-    body: formData,
   });
 
   if (!response.ok) {
@@ -22,17 +282,19 @@ export async function uploadFile(camera, file) {
     throw new Error(error.error || 'Upload failed');
   }
 
+  localStorage.removeItem(sessionKey);
   return response.json();
 }
 
 /**
  * Delete a specific file from a camera
- * @param {string} camera - 'A' or 'B'
+ * @param {string} projectId - Project ID
+ * @param {string} camera - 'a', 'b', ...
  * @param {string} id - File ID to delete
  * @returns {Promise<Object>} Response with deletion confirmation
  */
-export async function deleteFile(camera, id) {
-  const response = await fetch(`/upload/${camera}/${id}`, {
+export async function deleteFile(projectId, camera, id) {
+  const response = await fetch(`/api/projects/${projectId}/upload/${camera}/${id}`, {
     method: 'DELETE',
   });
 
@@ -45,18 +307,82 @@ export async function deleteFile(camera, id) {
 }
 
 /**
- * Set the order of files for both cameras
- * @param {string[]} orderA - Array of file IDs for camera A
- * @param {string[]} orderB - Array of file IDs for camera B
+ * Get the URL of an uploaded file's thumbnail
+ * @param {string} projectId - Project ID
+ * @param {string} camera - 'a', 'b', ...
+ * @param {string} id - File ID
+ * @returns {string} The thumbnail URL
+ */
+export function getThumbnailUrl(projectId, camera, id) {
+  return `/api/projects/${projectId}/upload/${camera}/${id}/thumbnail`;
+}
+
+/**
+ * Set the part of an uploaded file to use
+ * @param {string} projectId - Project ID
+ * @param {string} camera - 'a', 'b', ...
+ * @param {string} id - File ID
+ * @param {Object} trim - { start, end } in seconds, end null for the end of the clip
+ * @returns {Promise<Object>} The updated file info
+ */
+export async function setTrim(projectId, camera, id, { start, end }) {
+  const response = await fetch(`/api/projects/${projectId}/upload/${camera}/${id}/trim`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ start, end }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to set trim');
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the URL of a frame of an uploaded file
+ * @param {string} projectId - Project ID
+ * @param {string} camera - 'a', 'b', ...
+ * @param {string} id - File ID
+ * @param {number} seconds - Time of the frame
+ * @returns {string} The frame URL
+ */
+export function getFrameUrl(projectId, camera, id, seconds) {
+  return `/api/projects/${projectId}/upload/${camera}/${id}/frame?t=${seconds}`;
+}
+
+/**
+ * Get the saved order of files for both cameras
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} Order as { a: [...ids], b: [...ids] }
+ */
+export async function getOrder(projectId) {
+  const response = await fetch(`/api/projects/${projectId}/order`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get order');
+  }
+
+  return response.json();
+}
+
+/**
+ * Set the order of files for every camera
+ * @param {string} projectId - Project ID
+ * @param {Object} order - Array of file IDs per camera, e.g. { a: [...], b: [...] }
  * @returns {Promise<Object>} Response confirming order update
  */
-export async function setOrder(orderA, orderB) {
-  const response = await fetch('/api/order', {
+export async function setOrder(projectId, order) {
+  const response = await fetch(`/api/projects/${projectId}/order`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ a: orderA, b: orderB }),
+    body: JSON.stringify(order),
   });
 
   if (!response.ok) {
@@ -67,17 +393,65 @@ export async function setOrder(orderA, orderB) {
   return response.json();
 }
 
+/**
+ * Detect a camera's offset from camera A by cross-correlating their audio
+ * @param {string} projectId - Project ID
+ * @param {string} camera - Camera to compare with camera A
+ * @param {string} idA - Camera A clip ID
+ * @param {string} id - The other camera's clip ID
+ * @returns {Promise<Object>} { offsetSeconds, confidence, correlation }
+ */
+export async function detectSync(projectId, camera, idA, id) {
+  const query = new URLSearchParams({ camera, a: idA, clip: id });
+  const response = await fetch(`/api/projects/${projectId}/sync?${query}`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to detect offset');
+  }
+
+  return response.json();
+}
+
+/**
+ * Render a few seconds of both cameras side by side at the configured offset
+ * @param {string} projectId - Project ID
+ * @param {Object} options
+ * @param {number} options.start - Where to start, in seconds into the combined video
+ * @param {number} options.duration - Length of the preview, in seconds
+ * @param {Object} options.config - Processing configuration (syncOffsets, offsetSeconds)
+ * @returns {Promise<Object>} { url, delays }
+ */
+export async function renderPreview(projectId, { start, duration, config }) {
+  const response = await fetch(`/api/projects/${projectId}/preview`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ start, duration, config }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to render preview');
+  }
+
+  return response.json();
+}
+
 /**
  * Start the video processing
+ * @param {string} projectId - Project ID
  * @param {Object} config - Processing configuration
- * @param {string} config.leftLabel - Label for left side (camera A)
- * @param {string} config.rightLabel - Label for right side (camera B)
- * @param {number} config.leftScale - Scale for left video (0-1)
- * @param {number} config.rightScale - Scale for right video (0-1)
+ * @param {Object} config.labels - Label drawn on each camera, e.g. { a: 'Front', b: 'Side' }
+ * @param {Object} config.scales - Size of each camera within its frame (0.1-1), e.g. { a: 1, b: 0.8 }
+ * @param {string} config.labelPosition - 'top-left', 'top', 'top-right', 'bottom-left', 'bottom' or 'bottom-right'
+ * @param {number} config.labelSize - Font size as a fraction of the camera's height
+ * @param {boolean} config.labelBox - Draw a dark box behind the labels
  * @returns {Promise<Object>} Response with job ID
  */
-export async function startProcess(config) {
-  const response = await fetch('/api/process', {
+export async function startProcess(projectId, config) {
+  const response = await fetch(`/api/projects/${projectId}/process`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -109,21 +483,178 @@ export async function getStatus(jobId) {
   return response.json();
 }
 
+/**
+ * Follow a processing job's progress.
+ * Uses the Server-Sent Events stream (the browser reconnects on its own) and
+ * falls back to polling getStatus only when SSE isn't available.
+ * @param {string} jobId - The job ID to follow
+ * @param {Object} handlers - Event callbacks
+ * @param {Function} handlers.onUpdate - Called with partial job fields ({ status, progress, stage, error })
+ * @param {Function} handlers.onLog - Called with each log message
+ * @returns {Function} Stops following the job
+ */
+export function subscribeToJob(jobId, { onUpdate, onLog }) {
+  let stopped = false;
+  let pollTimer = null;
+  let source = null;
+
+  const isFinished = (status) => status && status !== 'processing';
+
+  const startPolling = () => {
+    let failures = 0;
+
+    const poll = async () => {
+      if (stopped) return;
+      try {
+        const job = await getStatus(jobId);
+        failures = 0;
+        onUpdate(job);
+        if (isFinished(job.status)) return;
+      } catch (err) {
+        // Tolerate short network blips before giving up
+        failures++;
+        if (failures >= 10) {
+          onUpdate({ status: 'error', error: err.message || 'Failed to get status' });
+          return;
+        }
+      }
+      pollTimer = setTimeout(poll, 1000);
+    };
+
+    poll();
+  };
+
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+  } else {
+    source = new EventSource(`/api/jobs/${jobId}/events`);
+
+    const listen = (type, handler) => {
+      source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+    };
+
+    listen('snapshot', (job) => {
+      onUpdate(job);
+      if (isFinished(job.status)) source.close();
+    });
+    listen('stage', ({ stage }) => onUpdate({ stage }));
+    listen('progress', ({ progress }) => onUpdate({ progress }));
+    listen('log', ({ message }) => onLog?.(message));
+    listen('done', (job) => {
+      onUpdate(job);
+      source.close();
+    });
+    listen('failed', ({ error }) => {
+      onUpdate({ status: 'error', error });
+      source.close();
+    });
+    listen('cancelled', () => {
+      onUpdate({ status: 'cancelled' });
+      source.close();
+    });
+
+    // The browser retries dropped connections itself; a CLOSED source means
+    // the stream isn't usable at all (e.g. a proxy that blocks it)
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED && !stopped) {
+        startPolling();
+      }
+    };
+  }
+
+  return () => {
+    stopped = true;
+    source?.close();
+    clearTimeout(pollTimer);
+  };
+}
+
+/**
+ * Cancel a running processing job
+ * @param {string} jobId - The job ID to cancel
+ * @returns {Promise<Object>} The cancelled job's status
+ */
+export async function cancelJob(jobId) {
+  const response = await fetch(`/api/jobs/${jobId}/cancel`, {
+    method: 'POST',
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to cancel job');
+  }
+
+  return response.json();
+}
+
+/**
+ * Resume a failed, interrupted or cancelled job from its last completed stage
+ * @param {string} jobId - The job ID to resume
+ * @returns {Promise<Object>} The resumed job's status
+ */
+export async function resumeJob(jobId) {
+  const response = await fetch(`/api/jobs/${jobId}/resume`, {
+    method: 'POST',
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to resume job');
+  }
+
+  return response.json();
+}
+
+/**
+ * List a project's past and running jobs (newest first)
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object[]>} Jobs with inputs, config and result
+ */
+export async function listJobs(projectId) {
+  const response = await fetch(`/api/jobs?projectId=${encodeURIComponent(projectId)}`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to list jobs');
+  }
+
+  return response.json();
+}
+
+/**
+ * Delete a finished job and its output video
+ * @param {string} jobId - The job ID to delete
+ * @returns {Promise<Object>} Response confirming deletion
+ */
+export async function deleteJob(jobId) {
+  const response = await fetch(`/api/jobs/${jobId}`, {
+    method: 'DELETE',
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to delete job');
+  }
+
+  return response.json();
+}
+
 /**
  * Get the download URL for a completed job
  * @param {string} jobId - The job ID
  * @returns {string} The download URL
  */
 export function getDownloadUrl(jobId) {
-  return `/api/download/${jobId}`;
+  return `/api/jobs/${jobId}/download`;
 }
 
 /**
- * Reset all state (clears uploads and jobs)
+ * Reset a project (clears uploads and order; finished jobs stay in the library)
+ * @param {string} projectId - Project ID
  * @returns {Promise<Object>} Response confirming reset
  */
-export async function reset() {
-  const response = await fetch('/reset', {
+export async function reset(projectId) {
+  const response = await fetch(`/api/projects/${projectId}/reset`, {
     method: 'POST',
   });
 
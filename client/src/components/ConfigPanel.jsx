@@ -1,6 +1,67 @@
 import { useState } from 'react'
 
-function ConfigPanel({ config, onChange }) {
+// Box for each camera in the layout, in percent of the output, and the output's aspect ratio
+function getLayoutBoxes(layout, corner, size, count) {
+  if (layout === 'vstack') {
+    return {
+      aspect: [16, 9 * count],
+      boxes: Array.from({ length: count }, (unused, i) => ({ left: 0, top: (100 * i) / count, width: 100, height: 100 / count }))
+    }
+  }
+
+  if (layout === 'pip') {
+    const margin = 2
+    const insets = Array.from({ length: count - 1 }, (unused, i) => {
+      const left = corner.endsWith('left') ? margin + i * (size + margin) : 100 - (i + 1) * (size + margin)
+      return { left, top: corner.startsWith('top') ? margin * 16 / 9 : 100 - size - margin * 16 / 9, width: size, height: size }
+    })
+    return { aspect: [16, 9], boxes: [{ left: 0, top: 0, width: 100, height: 100 }, ...insets] }
+  }
+
+  if (layout === 'focus') {
+    const slots = Math.max(3, count - 1)
+    const mainWidth = (100 * slots) / (slots + 1)
+    const thumbs = Array.from({ length: count - 1 }, (unused, i) => ({ left: mainWidth, top: (100 * i) / slots, width: 100 - mainWidth, height: 100 / slots }))
+    return { aspect: [16 * (slots + 1), 9 * slots], boxes: [{ left: 0, top: 0, width: mainWidth, height: 100 }, ...thumbs] }
+  }
+
+  // Side by side, or a grid from four cameras
+  const columns = count <= 3 ? count : Math.ceil(Math.sqrt(count))
+  const rows = Math.ceil(count / columns)
+  return {
+    aspect: [16 * columns, 9 * rows],
+    boxes: Array.from({ length: count }, (unused, i) => ({
+      left: (100 * (i % columns)) / columns,
+      top: (100 * Math.floor(i / columns)) / rows,
+      width: 100 / columns,
+      height: 100 / rows
+    }))
+  }
+}
+
+// Longest side of the layout schematic, in pixels
+const SCHEMATIC_SIZE = 200
+
+function LayoutSchematic({ layout, corner, size, cameras }) {
+  const { aspect: [width, height], boxes } = getLayoutBoxes(layout, corner, size * 100, cameras.length)
+  const scale = SCHEMATIC_SIZE / Math.max(width, height)
+
+  return (
+    <div className="layout-schematic" style={{ width: width * scale, height: height * scale }}>
+      {boxes.map((box, i) => (
+        <div
+          key={cameras[i]}
+          className={`layout-box ${i > 0 && layout === 'pip' ? 'layout-box-inset' : ''}`}
+          style={{ left: `${box.left}%`, top: `${box.top}%`, width: `${box.width}%`, height: `${box.height}%` }}
+        >
+          {cameras[i].toUpperCase()}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function ConfigPanel({ config, cameras, onChange }) {
   const [useOriginalWidth, setUseOriginalWidth] = useState(config.maxWidth === null)
 
   const handleCrfChange = (e) => {
@@ -30,6 +91,96 @@ function ConfigPanel({ config, onChange }) {
     onChange({ ...config, concatenateFirst: e.target.checked })
   }
 
+  const handleGapFillChange = (e) => {
+    onChange({ ...config, gapFill: e.target.value })
+  }
+
+  const handleMismatchStrategyChange = (e) => {
+    onChange({ ...config, mismatchStrategy: e.target.value })
+  }
+
+  const handlePadFillChange = (e) => {
+    onChange({ ...config, padFill: e.target.value })
+  }
+
+  const handleMismatchToleranceChange = (e) => {
+    const value = parseFloat(e.target.value)
+    onChange({ ...config, mismatchTolerance: Number.isNaN(value) ? null : Math.max(0, value) })
+  }
+
+  const handleLayoutChange = (e) => {
+    onChange({ ...config, layout: e.target.value })
+  }
+
+  const handlePipCornerChange = (e) => {
+    onChange({ ...config, pipCorner: e.target.value })
+  }
+
+  const handlePipSizeChange = (e) => {
+    onChange({ ...config, pipSize: parseInt(e.target.value) / 100 })
+  }
+
+  const labels = config.labels || {}
+  const scales = config.scales || {}
+
+  const handleLabelChange = (camera, e) => {
+    onChange({ ...config, labels: { ...labels, [camera]: e.target.value } })
+  }
+
+  const handleScaleChange = (camera, e) => {
+    onChange({ ...config, scales: { ...scales, [camera]: parseInt(e.target.value) / 100 } })
+  }
+
+  const handleLabelPositionChange = (e) => {
+    onChange({ ...config, labelPosition: e.target.value })
+  }
+
+  const handleLabelSizeChange = (e) => {
+    onChange({ ...config, labelSize: parseInt(e.target.value) / 100 })
+  }
+
+  const handleLabelBoxToggle = (e) => {
+    onChange({ ...config, labelBox: e.target.checked })
+  }
+
+  const handleAudioModeChange = (e) => {
+    onChange({ ...config, audioMode: e.target.value })
+  }
+
+  const handleAudioGainChange = (camera, e) => {
+    onChange({ ...config, audioGains: { ...config.audioGains, [camera]: parseFloat(e.target.value) } })
+  }
+
+  const handleDenoiseToggle = (e) => {
+    onChange({ ...config, denoise: e.target.checked })
+  }
+
+  const handleNormalizeLoudnessToggle = (e) => {
+    onChange({ ...config, normalizeLoudness: e.target.checked })
+  }
+
+  const handleDeadTimeChange = (e) => {
+    onChange({ ...config, deadTime: e.target.value })
+  }
+
+  const handleDeadTimeMinIdleChange = (e) => {
+    const value = parseFloat(e.target.value)
+    onChange({ ...config, deadTimeMinIdle: Number.isNaN(value) ? null : value })
+  }
+
+  const handleDeadTimeSpeedChange = (e) => {
+    onChange({ ...config, deadTimeSpeed: parseInt(e.target.value) })
+  }
+
+  const handleDeadTimeThresholdChange = (key, e) => {
+    onChange({ ...config, [key]: parseInt(e.target.value) })
+  }
+
+  const layout = config.layout || 'hstack'
+  const audioMode = config.audioMode || 'stereo'
+  const pipSize = config.pipSize ?? 0.3
+  const labelSize = config.labelSize ?? 0.06
+
   return (
     <div className="config-panel">
       <h3>Processing Settings</h3>
@@ -49,6 +200,322 @@ function ConfigPanel({ config, onChange }) {
             Use when cameras have different segment lengths. Concatenates all videos from each camera first, then combines side-by-side.
           </p>
         </div>
+
+        {config.concatenateFirst && (
+          <div className="config-item">
+            <label className="config-label">
+              <span className="label-text">Recording Gaps</span>
+            </label>
+            <select
+              value={config.gapFill || 'black'}
+              onChange={handleGapFillChange}
+              className="config-select"
+            >
+              <option value="black">Black frames</option>
+              <option value="freeze">Freeze last frame</option>
+            </select>
+            <p className="config-hint">
+              When a camera was off between clips (going by their recording times), the gap is filled with silence and this, so both sides stay in sync.
+            </p>
+          </div>
+        )}
+
+        {config.concatenateFirst && (
+          <div className="config-item">
+            <label className="config-label">
+              <span className="label-text">Different Lengths</span>
+            </label>
+            <select
+              value={config.mismatchStrategy || 'pad-end'}
+              onChange={handleMismatchStrategyChange}
+              className="config-select"
+            >
+              <option value="pad-end">Pad the shorter camera at the end</option>
+              <option value="pad-start">Pad the shorter camera at the start</option>
+              <option value="trim">Trim the longer camera</option>
+            </select>
+            {config.mismatchStrategy !== 'trim' && (
+              <select
+                value={config.padFill || 'freeze'}
+                onChange={handlePadFillChange}
+                className="config-select"
+              >
+                <option value="freeze">Freeze frame</option>
+                <option value="black">Black frames</option>
+                <option value="card">"Camera offline" card</option>
+              </select>
+            )}
+            <div className="width-input-container">
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={config.mismatchTolerance ?? ''}
+                onChange={handleMismatchToleranceChange}
+                placeholder="300"
+                className="config-input"
+              />
+              <span className="input-unit">s tolerance</span>
+            </div>
+            <p className="config-hint">
+              Applied only when the cameras' lengths differ by more than the tolerance. Pad at the start when the cameras stopped together rather than started together.
+            </p>
+          </div>
+        )}
+
+        <div className="config-item">
+          <label className="config-label">
+            <span className="label-text">Layout</span>
+          </label>
+          <select
+            value={layout}
+            onChange={handleLayoutChange}
+            className="config-select"
+          >
+            <option value="hstack">Side by side</option>
+            <option value="vstack">Stacked (for phones)</option>
+            <option value="pip">Picture-in-picture</option>
+            <option value="focus">Focus on Camera {cameras[0]?.toUpperCase()}</option>
+          </select>
+          {layout === 'pip' && (
+            <>
+              <select
+                value={config.pipCorner || 'bottom-right'}
+                onChange={handlePipCornerChange}
+                className="config-select"
+              >
+                <option value="top-left">Top left</option>
+                <option value="top-right">Top right</option>
+                <option value="bottom-left">Bottom left</option>
+                <option value="bottom-right">Bottom right</option>
+              </select>
+              <label className="config-label">
+                <span className="label-text">Inset Size</span>
+                <span className="label-value">{Math.round(pipSize * 100)}%</span>
+              </label>
+              <input
+                type="range"
+                min="10"
+                max="50"
+                value={Math.round(pipSize * 100)}
+                onChange={handlePipSizeChange}
+                className="slider"
+              />
+            </>
+          )}
+          <LayoutSchematic
+            layout={layout}
+            corner={config.pipCorner || 'bottom-right'}
+            size={pipSize}
+            cameras={cameras}
+          />
+          <p className="config-hint">
+            {layout === 'hstack' && 'Up to three cameras in a row, more in a grid.'}
+            {layout === 'vstack' && 'Cameras one above the other, full width.'}
+            {layout === 'pip' && `Camera ${cameras[0]?.toUpperCase()} fills the frame with the others as small insets in a corner.`}
+            {layout === 'focus' && `Camera ${cameras[0]?.toUpperCase()} large, the others as thumbnails beside it.`}
+          </p>
+        </div>
+
+        <div className="config-item">
+          <label className="config-label">
+            <span className="label-text">Camera Labels</span>
+          </label>
+          {cameras.map(camera => (
+            <div key={camera} className="camera-label-row">
+              <input
+                type="text"
+                value={labels[camera] ?? ''}
+                onChange={(e) => handleLabelChange(camera, e)}
+                placeholder={`Camera ${camera.toUpperCase()} label`}
+                maxLength={60}
+                className="config-input"
+              />
+              <input
+                type="range"
+                min="50"
+                max="100"
+                value={Math.round((scales[camera] ?? 1) * 100)}
+                onChange={(e) => handleScaleChange(camera, e)}
+                className="slider"
+                title="Size within its frame"
+              />
+              <span className="input-unit">{Math.round((scales[camera] ?? 1) * 100)}%</span>
+            </div>
+          ))}
+          <select
+            value={config.labelPosition || 'top-left'}
+            onChange={handleLabelPositionChange}
+            className="config-select"
+          >
+            <option value="top-left">Top left</option>
+            <option value="top">Top</option>
+            <option value="top-right">Top right</option>
+            <option value="bottom-left">Bottom left</option>
+            <option value="bottom">Bottom</option>
+            <option value="bottom-right">Bottom right</option>
+          </select>
+          <label className="config-label">
+            <span className="label-text">Label Size</span>
+            <span className="label-value">{Math.round(labelSize * 100)}%</span>
+          </label>
+          <input
+            type="range"
+            min="2"
+            max="15"
+            value={Math.round(labelSize * 100)}
+            onChange={handleLabelSizeChange}
+            className="slider"
+          />
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={config.labelBox !== false}
+              onChange={handleLabelBoxToggle}
+              className="config-checkbox"
+            />
+            <span>Dark box behind labels</span>
+          </label>
+          <p className="config-hint">
+            Text such as "Front" or the dog's name, drawn on each camera. Leave empty for no label. The slider shrinks a camera within its frame, e.g. when one is zoomed in more than the others.
+          </p>
+        </div>
+
+        <div className="config-item">
+          <label className="config-label">
+            <span className="label-text">Audio</span>
+          </label>
+          <select
+            value={audioMode}
+            onChange={handleAudioModeChange}
+            className="config-select"
+          >
+            {cameras.map(camera => (
+              <option key={camera} value={camera}>Camera {camera.toUpperCase()} only</option>
+            ))}
+            <option value="stereo">
+              {cameras.length === 2 ? `Camera ${cameras[0].toUpperCase()} left, ${cameras[1].toUpperCase()} right` : 'All cameras (mixed)'}
+            </option>
+            <option value="mix">Mix with gain per camera</option>
+            <option value="silent">Silent</option>
+          </select>
+          {audioMode === 'mix' && cameras.map(camera => (
+            <div key={camera} className="camera-label-row">
+              <span className="input-unit">Camera {camera.toUpperCase()}</span>
+              <input
+                type="range"
+                min="-30"
+                max="20"
+                step="1"
+                value={config.audioGains?.[camera] ?? 0}
+                onChange={(e) => handleAudioGainChange(camera, e)}
+                className="slider"
+              />
+              <span className="input-unit">{config.audioGains?.[camera] ?? 0} dB</span>
+            </div>
+          ))}
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={config.denoise || false}
+              onChange={handleDenoiseToggle}
+              className="config-checkbox"
+            />
+            <span>Reduce background noise</span>
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={config.normalizeLoudness || false}
+              onChange={handleNormalizeLoudnessToggle}
+              className="config-checkbox"
+            />
+            <span>Normalize loudness</span>
+          </label>
+          <p className="config-hint">
+            Pick one camera when the other's mic is mostly noise. Cameras without an audio track are left out.
+            Noise reduction takes out steady hiss such as a fan; loudness normalization (EBU R128) evens out quiet recordings so clicks and cues are easy to hear, at the cost of one extra pass over the audio.
+          </p>
+        </div>
+
+        <div className="config-item">
+          <label className="config-label">
+            <span className="label-text">Dead Time</span>
+          </label>
+          <select
+            value={config.deadTime || 'off'}
+            onChange={handleDeadTimeChange}
+            className="config-select"
+          >
+            <option value="off">Keep everything</option>
+            <option value="cut">Cut out</option>
+            <option value="speed">Speed up (timelapse)</option>
+          </select>
+          {config.deadTime === 'speed' && (
+            <div className="camera-label-row">
+              <span className="input-unit">Speed</span>
+              <input
+                type="range"
+                min="2"
+                max="32"
+                step="1"
+                value={config.deadTimeSpeed ?? 8}
+                onChange={handleDeadTimeSpeedChange}
+                className="slider"
+              />
+              <span className="input-unit">{config.deadTimeSpeed ?? 8}x</span>
+            </div>
+          )}
+          {(config.deadTime === 'cut' || config.deadTime === 'speed') && (
+            <div className="width-input-container">
+              <span className="input-unit">when idle for at least</span>
+              <input
+                type="number"
+                min="3"
+                max="600"
+                step="1"
+                value={config.deadTimeMinIdle ?? ''}
+                onChange={handleDeadTimeMinIdleChange}
+                placeholder="10"
+                className="config-input"
+              />
+              <span className="input-unit">s</span>
+            </div>
+          )}
+          {(config.deadTime === 'cut' || config.deadTime === 'speed') && (
+            <>
+              <div className="camera-label-row">
+                <span className="input-unit">Still below</span>
+                <input
+                  type="range"
+                  min="-70"
+                  max="-20"
+                  step="1"
+                  value={config.deadTimeMotionThreshold ?? -50}
+                  onChange={(e) => handleDeadTimeThresholdChange('deadTimeMotionThreshold', e)}
+                  className="slider"
+                />
+                <span className="input-unit">{config.deadTimeMotionThreshold ?? -50} dB</span>
+              </div>
+              <div className="camera-label-row">
+                <span className="input-unit">Silent below</span>
+                <input
+                  type="range"
+                  min="-70"
+                  max="-20"
+                  step="1"
+                  value={config.deadTimeSoundThreshold ?? -40}
+                  onChange={(e) => handleDeadTimeThresholdChange('deadTimeSoundThreshold', e)}
+                  className="slider"
+                />
+                <span className="input-unit">{config.deadTimeSoundThreshold ?? -40} dB</span>
+              </div>
+            </>
+          )}
+          <p className="config-hint">
+            Finds the stretches where no camera shows motion or picks up sound (an empty room, the dog lying still) and leaves them out, or plays them faster without sound and with the speed shown on screen, so moments like the dog settling on the mat keep their context. Raise the thresholds to count more as idle (a flickering light, a noisy fan), lower them to keep subtle movement and quiet sounds. Takes an extra pass over every clip.
+          </p>
+        </div>
       </div>
 
       <h3>Compression Settings</h3>
@@ -1,24 +1,83 @@
-import { useState, useRef } from 'react'
-import { uploadFile, deleteFile } from '../api.js'
-
-function formatDuration(totalSeconds) {
-  const s = Math.floor(totalSeconds)
-  const h = Math.floor(s / 3600)
-  const m = Math.floor((s % 3600) / 60)
-  const sec = s % 60
-  if (h > 0) {
-    return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`
-  }
-  return `${m}:${String(sec).padStart(2, '0')}`
+import { Fragment, useState, useRef, useEffect } from 'react'
+import { listUploads, uploadFile, deleteFile, getThumbnailUrl } from '../api.js'
+import { formatDuration, formatBytes, formatProbe, formatWallClock } from '../format.js'
+import TrimEditor from './TrimEditor.jsx'
+
+// How many files of one camera upload at the same time
+const UPLOAD_CONCURRENCY = 3
+
+const SORT_OPTIONS = [
+  { value: 'overlay', label: 'Burned-in timestamp' },
+  { value: 'creation_time', label: 'Recording time' },
+  { value: 'mtime', label: 'File modified time' },
+  { value: 'filename', label: 'Filename' },
+  { value: 'manual', label: 'Manual (drag to reorder)' }
+]
+
+// Format properties that should match across one camera's clips
+const FORMAT_FIELDS = {
+  codec: probe => probe.video?.codec,
+  resolution: probe => probe.video && `${probe.video.width}×${probe.video.height}`,
+  'frame rate': probe => probe.video && (probe.video.vfr ? 'VFR' : Math.round(probe.video.fps)),
+  rotation: probe => probe.video?.rotation,
+  audio: probe => (probe.audio ? `${probe.audio.codec} ${probe.audio.channels}ch ${probe.audio.sampleRate}` : 'none')
+}
+
+/**
+ * Compare each clip's format with the most common one among the camera's clips
+ * @returns {Map<string, string[]>} File ID -> names of the fields that differ
+ */
+function findFormatMismatches(files) {
+  const probed = files.filter(f => f.probe)
+  const mismatches = new Map()
+
+  Object.entries(FORMAT_FIELDS).forEach(([field, read]) => {
+    const counts = new Map()
+    probed.forEach(f => {
+      const value = read(f.probe)
+      counts.set(value, (counts.get(value) || 0) + 1)
+    })
+    const [common] = [...counts.entries()].sort((x, y) => y[1] - x[1])[0] || []
+
+    probed.forEach(f => {
+      if (read(f.probe) !== common) {
+        mismatches.set(f.id, [...(mismatches.get(f.id) || []), field])
+      }
+    })
+  })
+
+  return mismatches
 }
 
-function DropZone({ camera, files, onFilesChange }) {
+function DropZone({ projectId, camera, files, onFilesChange, concurrency = UPLOAD_CONCURRENCY }) {
   const [isDragging, setIsDragging] = useState(false)
   const [uploadingFiles, setUploadingFiles] = useState([])
   const [error, setError] = useState(null)
   const fileInputRef = useRef(null)
   const [draggedIndex, setDraggedIndex] = useState(null)
   const [dragOverIndex, setDragOverIndex] = useState(null)
+  const [sortBy, setSortBy] = useState('overlay')
+  const [trimming, setTrimming] = useState(null)
+
+  // Upload queue bookkeeping lives in refs so parallel uploads all see current values
+  const queueRef = useRef([])
+  const activeRef = useRef(new Map())
+  const finishedRef = useRef([])
+  const latestRef = useRef({ files, onFilesChange, sortBy })
+
+  useEffect(() => {
+    latestRef.current = { files, onFilesChange, sortBy }
+  })
+
+  // Abandon running uploads if the zone goes away (e.g. another project is picked)
+  useEffect(() => {
+    const queue = queueRef.current
+    const active = activeRef.current
+    return () => {
+      queue.length = 0
+      active.forEach(controller => controller.abort())
+    }
+  }, [])
 
   const handleDragEnter = (e) => {
     e.preventDefault()
@@ -71,44 +130,141 @@ function DropZone({ camera, files, onFilesChange }) {
       setTimeout(() => setError(null), 3000)
     }
 
-    // Track newly uploaded files in this batch to avoid stale state issues
-    const newlyUploaded = []
+    const items = videoFiles.map(file => ({ id: `${file.name}-${Date.now()}`, file }))
+
+    setUploadingFiles(prev => [
+      ...prev,
+      ...items.map(item => ({
+        id: item.id,
+        file: item.file,
+        filename: item.file.name,
+        status: 'queued',
+        loaded: 0,
+        total: item.file.size,
+        retry: 0,
+        error: null
+      }))
+    ])
+
+    queueRef.current.push(...items)
+    pumpQueue()
+  }
+
+  const updateUploading = (id, changes) => {
+    setUploadingFiles(prev => prev.map(f => (f.id === id ? { ...f, ...changes } : f)))
+  }
+
+  // Start queued uploads until the concurrency limit is reached
+  const pumpQueue = () => {
+    while (activeRef.current.size < concurrency && queueRef.current.length > 0) {
+      runUpload(queueRef.current.shift())
+    }
+  }
 
-    // Process each file
-    for (const file of videoFiles) {
-      const uploadId = `${file.name}-${Date.now()}`
+  // Once nothing is queued or uploading, add the batch to the list and sort it once
+  const settleBatch = async () => {
+    if (queueRef.current.length > 0 || activeRef.current.size > 0 || finishedRef.current.length === 0) {
+      return
+    }
 
-      // Add to uploading list
-      setUploadingFiles(prev => [...prev, { id: uploadId, filename: file.name, progress: 0 }])
+    const { files: currentFiles, sortBy: currentSort } = latestRef.current
+    // Parallel uploads finish in any order: the new clips go in by filename
+    const finished = [...finishedRef.current].sort((a, b) => (
+      a.filename.localeCompare(b.filename, undefined, { numeric: true, sensitivity: 'base' })
+    ))
+    const allFiles = [...currentFiles, ...finished]
+    finishedRef.current = []
+
+    // A manual order is kept, with new clips at the end
+    if (currentSort === 'manual') {
+      latestRef.current.onFilesChange(allFiles)
+      return
+    }
 
-      try {
-        // Upload the file
-        const result = await uploadFile(camera.toLowerCase(), file)
+    try {
+      latestRef.current.onFilesChange(await listUploads(projectId, camera.toLowerCase(), currentSort))
+    } catch (err) {
+      console.error('Sorting failed:', err)
+      latestRef.current.onFilesChange(allFiles)
+    }
+  }
 
-        // Remove from uploading list
-        setUploadingFiles(prev => prev.filter(f => f.id !== uploadId))
+  const handleSortChange = async (e) => {
+    const strategy = e.target.value
+    setSortBy(strategy)
 
-        // Track this upload
-        newlyUploaded.push(result)
+    if (strategy === 'manual') {
+      return
+    }
 
-        // Add all newly uploaded files and sort by filename
-        const allFiles = [...files, ...newlyUploaded]
-        allFiles.sort((a, b) => a.filename.localeCompare(b.filename))
-        onFilesChange(allFiles)
-      } catch (err) {
-        console.error('Upload failed:', err)
-        setError(`Failed to upload ${file.name}: ${err.message}`)
-        setTimeout(() => setError(null), 5000)
+    try {
+      onFilesChange(await listUploads(projectId, camera.toLowerCase(), strategy))
+    } catch (err) {
+      console.error('Sorting failed:', err)
+      setError(`Failed to sort files: ${err.message}`)
+      setTimeout(() => setError(null), 3000)
+    }
+  }
+
+  const runUpload = async (item) => {
+    const controller = new AbortController()
+    activeRef.current.set(item.id, controller)
+    updateUploading(item.id, { status: 'uploading', retry: 0, error: null })
 
-        // Remove from uploading list
-        setUploadingFiles(prev => prev.filter(f => f.id !== uploadId))
+    try {
+      // Upload the file in resumable chunks
+      const result = await uploadFile(projectId, camera.toLowerCase(), item.file, {
+        signal: controller.signal,
+        onProgress: (loaded, total) => updateUploading(item.id, { loaded, total, retry: 0 }),
+        onRetry: (attempt) => updateUploading(item.id, { retry: attempt })
+      })
+
+      if (!controller.signal.aborted) {
+        finishedRef.current.push(result)
+      }
+      setUploadingFiles(prev => prev.filter(f => f.id !== item.id))
+    } catch (err) {
+      if (controller.signal.aborted) {
+        setUploadingFiles(prev => prev.filter(f => f.id !== item.id))
+      } else {
+        console.error('Upload failed:', err)
+        updateUploading(item.id, { status: 'failed', error: err.message })
       }
+    } finally {
+      activeRef.current.delete(item.id)
+      pumpQueue()
+      settleBatch()
+    }
+  }
+
+  const handleRetryUpload = (item) => {
+    updateUploading(item.id, { status: 'queued', error: null })
+    queueRef.current.push({ id: item.id, file: item.file })
+    pumpQueue()
+  }
+
+  // Cancel a queued or running upload, or dismiss a failed one
+  const handleCancelUpload = (item) => {
+    const controller = activeRef.current.get(item.id)
+    if (controller) {
+      controller.abort()
+      return
     }
+
+    queueRef.current = queueRef.current.filter(queued => queued.id !== item.id)
+    setUploadingFiles(prev => prev.filter(f => f.id !== item.id))
+    settleBatch()
+  }
+
+  const handleCancelAll = () => {
+    uploadingFiles
+      .filter(item => item.status !== 'failed')
+      .forEach(handleCancelUpload)
   }
 
   const handleDelete = async (fileId) => {
     try {
-      await deleteFile(camera.toLowerCase(), fileId)
+      await deleteFile(projectId, camera.toLowerCase(), fileId)
       const newFiles = files.filter(f => f.id !== fileId)
       onFilesChange(newFiles)
     } catch (err) {
@@ -118,6 +274,10 @@ function DropZone({ camera, files, onFilesChange }) {
     }
   }
 
+  const handleTrimSaved = (updated) => {
+    onFilesChange(files.map(f => (f.id === updated.id ? updated : f)))
+  }
+
   const handleClick = () => {
     fileInputRef.current?.click()
   }
@@ -175,13 +335,18 @@ function DropZone({ camera, files, onFilesChange }) {
     // Insert it at the new position
     newFiles.splice(dropIndex, 0, draggedItem)
 
-    // Update parent state
+    // Update parent state; a hand-made order overrides the sort
     onFilesChange(newFiles)
+    setSortBy('manual')
 
     setDraggedIndex(null)
     setDragOverIndex(null)
   }
 
+  const formatMismatches = findFormatMismatches(files)
+  const activeCount = uploadingFiles.filter(f => f.status === 'uploading').length
+  const queuedCount = uploadingFiles.filter(f => f.status === 'queued').length
+
   return (
     <div className="dropzone-container">
       <div
@@ -222,11 +387,50 @@ function DropZone({ camera, files, onFilesChange }) {
 
       {uploadingFiles.length > 0 && (
         <div className="uploading-files">
-          <h4>Uploading...</h4>
+          <div className="uploading-header">
+            <h4>Uploading... ({activeCount} active, {queuedCount} queued)</h4>
+            {uploadingFiles.some(f => f.status !== 'failed') && (
+              <button className="uploading-action" onClick={handleCancelAll}>
+                Cancel all
+              </button>
+            )}
+          </div>
           {uploadingFiles.map(file => (
-            <div key={file.id} className="uploading-file">
+            <div key={file.id} className={`uploading-file uploading-file-${file.status}`}>
               <span className="uploading-filename">{file.filename}</span>
-              <div className="uploading-spinner"></div>
+              {file.status === 'queued' && (
+                <span className="uploading-status">Queued</span>
+              )}
+              {file.status === 'uploading' && (
+                <div className="uploading-progress">
+                  <div className="uploading-bar">
+                    <div
+                      className="uploading-bar-fill"
+                      style={{ width: `${file.total ? (file.loaded / file.total) * 100 : 0}%` }}
+                    ></div>
+                  </div>
+                  <span className="uploading-bytes">
+                    {file.retry > 0
+                      ? `Connection lost, retrying (${file.retry})...`
+                      : `${Math.floor(file.total ? (file.loaded / file.total) * 100 : 0)}% · ${formatBytes(file.loaded)} / ${formatBytes(file.total)}`}
+                  </span>
+                </div>
+              )}
+              {file.status === 'failed' && (
+                <span className="uploading-status uploading-status-failed" title={file.error}>
+                  Failed: {file.error}
+                </span>
+              )}
+              <div className="uploading-actions">
+                {file.status === 'failed' && (
+                  <button className="uploading-action" onClick={() => handleRetryUpload(file)}>
+                    Retry
+                  </button>
+                )}
+                <button className="uploading-action" onClick={() => handleCancelUpload(file)}>
+                  {file.status === 'failed' ? 'Remove' : 'Cancel'}
+                </button>
+              </div>
             </div>
           ))}
         </div>
@@ -234,46 +438,92 @@ function DropZone({ camera, files, onFilesChange }) {
 
       {files.length > 0 && (
         <div className="file-list">
-          <h4>Uploaded Files ({files.length}){(() => {
-            const total = files.reduce((sum, f) => sum + (Number.isFinite(f.duration) ? f.duration : 0), 0)
-            return total > 0 ? ` · Total: ${formatDuration(total)}` : ''
-          })()}</h4>
-          {files.map((file, index) => (
-            <div
-              key={file.id}
-              className={`file-item ${draggedIndex === index ? 'file-item-dragging' : ''} ${dragOverIndex === index ? 'file-item-drag-over' : ''}`}
-              draggable={true}
-              onDragStart={(e) => handleItemDragStart(e, index)}
-              onDragEnd={handleItemDragEnd}
-              onDragOver={handleItemDragOver}
-              onDragEnter={(e) => handleItemDragEnter(e, index)}
-              onDragLeave={handleItemDragLeave}
-              onDrop={(e) => handleItemDrop(e, index)}
+          <div className="file-list-header">
+            <h4>Uploaded Files ({files.length}){(() => {
+              const total = files.reduce((sum, f) => sum + (Number.isFinite(f.duration) ? f.duration : 0), 0)
+              return total > 0 ? ` · Total: ${formatDuration(total)}` : ''
+            })()}</h4>
+            <select
+              className="file-sort"
+              value={sortBy}
+              onChange={handleSortChange}
+              title="Sort clips by"
             >
-              <div className="file-drag-handle" title="Drag to reorder">
-                <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
-                  <circle cx="4" cy="4" r="1.5" />
-                  <circle cx="4" cy="8" r="1.5" />
-                  <circle cx="4" cy="12" r="1.5" />
-                  <circle cx="8" cy="4" r="1.5" />
-                  <circle cx="8" cy="8" r="1.5" />
-                  <circle cx="8" cy="12" r="1.5" />
-                </svg>
-              </div>
-              <img
-                src={`/upload/${camera.toLowerCase()}/${file.id}/thumbnail`}
-                alt={file.filename}
-                className="file-thumbnail"
-              />
-              <span className="file-name">{file.filename}</span>
-              <button
-                className="file-delete"
-                onClick={() => handleDelete(file.id)}
-                title="Delete file"
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          {files.map((file, index) => (
+            <Fragment key={file.id}>
+              <div
+                className={`file-item ${draggedIndex === index ? 'file-item-dragging' : ''} ${dragOverIndex === index ? 'file-item-drag-over' : ''}`}
+                draggable={true}
+                onDragStart={(e) => handleItemDragStart(e, index)}
+                onDragEnd={handleItemDragEnd}
+                onDragOver={handleItemDragOver}
+                onDragEnter={(e) => handleItemDragEnter(e, index)}
+                onDragLeave={handleItemDragLeave}
+                onDrop={(e) => handleItemDrop(e, index)}
               >
-                Delete
-              </button>
-            </div>
+                <div className="file-drag-handle" title="Drag to reorder">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                    <circle cx="4" cy="4" r="1.5" />
+                    <circle cx="4" cy="8" r="1.5" />
+                    <circle cx="4" cy="12" r="1.5" />
+                    <circle cx="8" cy="4" r="1.5" />
+                    <circle cx="8" cy="8" r="1.5" />
+                    <circle cx="8" cy="12" r="1.5" />
+                  </svg>
+                </div>
+                <img
+                  src={getThumbnailUrl(projectId, camera.toLowerCase(), file.id)}
+                  alt={file.filename}
+                  className="file-thumbnail"
+                />
+                <div className="file-info">
+                  <span className="file-name">{file.filename}</span>
+                  <span className="file-meta">
+                    {Number.isFinite(file.duration) && formatDuration(file.duration)}
+                    {file.wallClock && ` · ${formatWallClock(file.wallClock)}`}
+                    {file.probe && ` · ${formatProbe(file.probe)}`}
+                  </span>
+                  {file.trim && (
+                    <span className="file-trim">
+                      Using {file.trim.start.toFixed(1)}s - {file.trim.end === null ? 'end' : `${file.trim.end.toFixed(1)}s`}
+                    </span>
+                  )}
+                  {formatMismatches.has(file.id) && (
+                    <span className="file-mismatch" title="This clip's format differs from the camera's other clips">
+                      Differs in {formatMismatches.get(file.id).join(', ')}
+                    </span>
+                  )}
+                </div>
+                <button
+                  className="file-trim-button"
+                  onClick={() => setTrimming(trimming === file.id ? null : file.id)}
+                  title="Choose the part of the clip to use"
+                >
+                  Trim
+                </button>
+                <button
+                  className="file-delete"
+                  onClick={() => handleDelete(file.id)}
+                  title="Delete file"
+                >
+                  Delete
+                </button>
+              </div>
+              {trimming === file.id && (
+                <TrimEditor
+                  projectId={projectId}
+                  camera={camera.toLowerCase()}
+                  file={file}
+                  onSave={handleTrimSaved}
+                  onClose={() => setTrimming(null)}
+                />
+              )}
+            </Fragment>
           ))}
         </div>
       )}
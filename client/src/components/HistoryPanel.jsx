@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react'
+import { listJobs, deleteJob, getDownloadUrl } from '../api.js'
+import { formatDuration, formatBytes } from '../format.js'
+
+function formatDate(isoString) {
+  return new Date(isoString).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  })
+}
+
+function describeInputs(files = []) {
+  if (files.length === 0) return '-'
+  if (files.length === 1) return files[0].filename
+  return `${files.length} clips (${files[0].filename} … ${files[files.length - 1].filename})`
+}
+
+// What was done about cameras of different lengths, e.g. "B padded +12.0s"
+function describeLengthMismatch(mismatch) {
+  if (!mismatch) return ''
+  const action = mismatch.strategy === 'trim' ? 'trimmed -' : 'padded +'
+  return mismatch.changes
+    .map(({ camera, seconds }) => `, ${camera.toUpperCase()} ${action}${seconds.toFixed(1)}s`)
+    .join('')
+}
+
+// How much shorter dead time made the video, e.g. " (-3:20 idle)" or " (-2:55 idle at 8x)"
+function describeDeadTime(deadTime) {
+  if (!deadTime?.removedSeconds) return ''
+  return ` (-${formatDuration(deadTime.removedSeconds)} idle${deadTime.mode === 'speed' ? ` at ${deadTime.speed}x` : ''})`
+}
+
+function HistoryPanel({ projectId, refreshKey }) {
+  const [jobs, setJobs] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    listJobs(projectId)
+      .then(result => {
+        if (!cancelled) setJobs(result)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load history')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [projectId, refreshKey])
+
+  const handleDelete = async (jobId) => {
+    if (!window.confirm('Delete this video from the library?')) {
+      return
+    }
+
+    try {
+      await deleteJob(jobId)
+      setJobs(prev => prev.filter(job => job.id !== jobId))
+    } catch (err) {
+      setError(err.message || 'Failed to delete job')
+    }
+  }
+
+  // Only finished videos belong in the library
+  const completedJobs = jobs.filter(job => job.status === 'done')
+
+  return (
+    <div className="history-panel">
+      <h3>History</h3>
+
+      {error && <p className="history-error">{error}</p>}
+
+      {completedJobs.length === 0 ? (
+        <p className="history-empty">No processed videos yet</p>
+      ) : (
+        <table className="history-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Cameras</th>
+              <th>Settings</th>
+              <th>Duration</th>
+              <th>Size</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {completedJobs.map(job => (
+              <tr key={job.id}>
+                <td>{formatDate(job.createdAt)}</td>
+                <td>
+                  {Object.entries(job.inputs || {}).map(([camera, files]) => (
+                    <div key={camera} title={files.map(f => f.filename).join('\n')}>
+                      {camera.toUpperCase()}: {describeInputs(files)}
+                    </div>
+                  ))}
+                </td>
+                <td>
+                  {job.mode === 'concatenate-first' ? 'Concat first' : 'Pair by pair'}
+                  {' · '}CRF {job.config?.crf ?? '-'}, {job.config?.preset ?? '-'}
+                  {job.config?.maxWidth ? `, ${job.config.maxWidth}px` : ''}
+                  {describeLengthMismatch(job.lengthMismatch)}
+                </td>
+                <td>
+                  {Number.isFinite(job.result?.duration) ? formatDuration(job.result.duration) : '-'}
+                  {describeDeadTime(job.result?.deadTime)}
+                </td>
+                <td>{Number.isFinite(job.result?.size) ? formatBytes(job.result.size) : '-'}</td>
+                <td className="history-actions">
+                  <a href={getDownloadUrl(job.id)} download className="history-download">
+                    Download
+                  </a>
+                  <button
+                    className="history-delete"
+                    onClick={() => handleDelete(job.id)}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default HistoryPanel
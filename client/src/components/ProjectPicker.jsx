@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef } from 'react'
+import { listProjects, createProject, updateProject, deleteProject } from '../api.js'
+
+const STORAGE_KEY = 'koditraining.projectId'
+
+function ProjectPicker({ project, onSelect, disabled }) {
+  const [projects, setProjects] = useState([])
+  const [error, setError] = useState(null)
+
+  // The restore below runs once, so it reads the latest onSelect from a ref
+  const onSelectRef = useRef(onSelect)
+
+  useEffect(() => {
+    onSelectRef.current = onSelect
+  })
+
+  // Load projects once and restore the last selected one
+  useEffect(() => {
+    listProjects()
+      .then(result => {
+        setProjects(result)
+        const savedId = localStorage.getItem(STORAGE_KEY)
+        const initial = result.find(p => p.id === savedId) || result[0]
+        if (initial) {
+          onSelectRef.current(initial)
+        }
+      })
+      .catch(err => setError(err.message || 'Failed to load projects'))
+  }, [])
+
+  useEffect(() => {
+    if (project) {
+      localStorage.setItem(STORAGE_KEY, project.id)
+    }
+  }, [project])
+
+  const showError = (message) => {
+    setError(message)
+    setTimeout(() => setError(null), 5000)
+  }
+
+  const handleChange = (e) => {
+    const selected = projects.find(p => p.id === e.target.value)
+    if (selected) {
+      onSelect(selected)
+    }
+  }
+
+  const handleCreate = async () => {
+    const name = window.prompt('Project name (e.g. dog and session)')
+    if (!name || !name.trim()) {
+      return
+    }
+
+    try {
+      const created = await createProject(name.trim())
+      setProjects(prev => [created, ...prev])
+      onSelect(created)
+    } catch (err) {
+      showError(err.message || 'Failed to create project')
+    }
+  }
+
+  const handleRename = async () => {
+    const name = window.prompt('Rename project', project.name)
+    if (!name || !name.trim() || name.trim() === project.name) {
+      return
+    }
+
+    try {
+      const updated = await updateProject(project.id, { name: name.trim() })
+      setProjects(prev => prev.map(p => (p.id === updated.id ? updated : p)))
+      onSelect(updated)
+    } catch (err) {
+      showError(err.message || 'Failed to rename project')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete project "${project.name}" with all its uploads and videos?`)) {
+      return
+    }
+
+    try {
+      await deleteProject(project.id)
+      const remaining = projects.filter(p => p.id !== project.id)
+      setProjects(remaining)
+      onSelect(remaining[0] || null)
+    } catch (err) {
+      showError(err.message || 'Failed to delete project')
+    }
+  }
+
+  return (
+    <div className="project-picker">
+      <label className="project-label" htmlFor="project-select">Project</label>
+      <select
+        id="project-select"
+        className="config-select project-select"
+        value={project?.id || ''}
+        onChange={handleChange}
+        disabled={disabled || projects.length === 0}
+      >
+        {projects.length === 0 && <option value="">No projects yet</option>}
+        {projects.map(p => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+      </select>
+      <button className="project-button" onClick={handleCreate} disabled={disabled}>
+        New
+      </button>
+      <button className="project-button" onClick={handleRename} disabled={disabled || !project}>
+        Rename
+      </button>
+      <button className="project-button project-delete" onClick={handleDelete} disabled={disabled || !project}>
+        Delete
+      </button>
+      {error && <span className="project-error">{error}</span>}
+    </div>
+  )
+}
+
+export default ProjectPicker
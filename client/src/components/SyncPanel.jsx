@@ -0,0 +1,193 @@
+import { useState } from 'react'
+import { detectSync, renderPreview } from '../api.js'
+
+// Below this the audio match is likely wrong (e.g. a silent or noisy clip)
+const LOW_CONFIDENCE = 0.5
+
+// Seconds of video in a preview
+const PREVIEW_DURATION = 5
+
+const cameraName = (camera) => `Camera ${camera.toUpperCase()}`
+
+function SyncPanel({ projectId, cameras, firstFiles, config, onChange }) {
+  const [detecting, setDetecting] = useState(null)
+  const [detected, setDetected] = useState({})
+  const [error, setError] = useState(null)
+
+  const [previewStart, setPreviewStart] = useState(0)
+  const [previewing, setPreviewing] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const [previewError, setPreviewError] = useState(null)
+
+  // Every camera is synced to the first one
+  const [reference, ...others] = cameras
+  const referenceFile = firstFiles[reference]
+
+  const syncOffsets = config.syncOffsets || {}
+  const offsetSeconds = { ...Object.fromEntries(cameras.map(camera => [camera, 0])), ...config.offsetSeconds }
+
+  const setSyncOffset = (camera, value) => {
+    onChange({ syncOffsets: { ...syncOffsets, [camera]: value } })
+  }
+
+  const handleDetect = async (camera) => {
+    setDetecting(camera)
+    setError(null)
+
+    try {
+      const result = await detectSync(projectId, camera, referenceFile.id, firstFiles[camera].id)
+      setDetected({ ...detected, [camera]: result })
+      setSyncOffset(camera, result.offsetSeconds)
+    } catch (err) {
+      setError(err.message || 'Failed to detect offset')
+    } finally {
+      setDetecting(null)
+    }
+  }
+
+  const handleOffsetChange = (camera, e) => {
+    const value = parseFloat(e.target.value)
+    setSyncOffset(camera, e.target.value === '' || Number.isNaN(value) ? null : value)
+  }
+
+  const handleCameraOffsetChange = (camera, e) => {
+    const value = parseFloat(e.target.value)
+    onChange({ offsetSeconds: { ...offsetSeconds, [camera]: Number.isNaN(value) ? 0 : value } })
+  }
+
+  const handlePreview = async () => {
+    setPreviewing(true)
+    setPreviewError(null)
+
+    try {
+      setPreview(await renderPreview(projectId, { start: previewStart, duration: PREVIEW_DURATION, config }))
+    } catch (err) {
+      setPreviewError(err.message || 'Failed to render preview')
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  const describeOffset = (camera, offset) => {
+    if (offset === 0) return `${cameraName(camera)} is in sync`
+    const later = offset > 0 ? camera : reference
+    return `${cameraName(later)} started ${Math.abs(offset).toFixed(2)}s later`
+  }
+
+  const describeDelays = (delays) => {
+    const held = cameras.filter(camera => delays[camera] > 0)
+    if (held.length === 0) return 'Cameras are in sync'
+    return held.map(camera => `${cameraName(camera)} held back ${delays[camera].toFixed(2)}s`).join(', ')
+  }
+
+  return (
+    <div className="config-panel sync-panel">
+      <h3>Camera Sync</h3>
+
+      <div className="config-section">
+        {others.map(camera => (
+          <div key={camera} className="config-item">
+            <label className="config-label">
+              <span className="label-text">{cameraName(camera)} vs {cameraName(reference)}</span>
+            </label>
+            <div className="sync-camera-offsets">
+              <button
+                className="sync-detect-button"
+                onClick={() => handleDetect(camera)}
+                disabled={detecting !== null || !referenceFile || !firstFiles[camera]}
+              >
+                {detecting === camera ? 'Analysing audio...' : 'Detect offset'}
+              </button>
+              <div className="width-input-container">
+                <span className="input-unit">Delay {cameraName(camera)} by</span>
+                <input
+                  type="number"
+                  step="0.05"
+                  value={syncOffsets[camera] ?? ''}
+                  onChange={(e) => handleOffsetChange(camera, e)}
+                  placeholder="auto"
+                  className="config-input"
+                />
+                <span className="input-unit">s</span>
+              </div>
+            </div>
+            {detected[camera] && (
+              <p className={`sync-result ${detected[camera].confidence < LOW_CONFIDENCE ? 'sync-result-low' : ''}`}>
+                {describeOffset(camera, detected[camera].offsetSeconds)} · confidence {Math.round(detected[camera].confidence * 100)}%
+                {detected[camera].confidence < LOW_CONFIDENCE && ' - check it, or set the offset by hand'}
+              </p>
+            )}
+          </div>
+        ))}
+        {error && <p className="sync-error">{error}</p>}
+        <p className="config-hint">
+          Detect compares the sound of each camera's first clip with {cameraName(reference)}'s (claps, clicker, barks) to find how far apart they started.
+          Negative delays hold back {cameraName(reference)} instead. Leave empty to line up by the burned-in timestamps, if they could be read.
+        </p>
+
+        <div className="config-item">
+          <label className="config-label">
+            <span className="label-text">Manual offset</span>
+          </label>
+          <div className="sync-camera-offsets">
+            {cameras.map(camera => (
+              <div key={camera} className="width-input-container">
+                <span className="input-unit">{cameraName(camera)}</span>
+                <input
+                  type="number"
+                  step="0.05"
+                  value={offsetSeconds[camera]}
+                  onChange={(e) => handleCameraOffsetChange(camera, e)}
+                  className="config-input"
+                />
+                <span className="input-unit">s</span>
+              </div>
+            ))}
+          </div>
+          <p className="config-hint">
+            Extra delay per camera, added on top of the offsets above. Use it to nudge the cameras until the preview lines up.
+          </p>
+        </div>
+
+        <div className="config-item">
+          <label className="config-label">
+            <span className="label-text">Preview</span>
+          </label>
+          <div className="sync-preview-controls">
+            <div className="width-input-container">
+              <span className="input-unit">from</span>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={previewStart}
+                onChange={(e) => setPreviewStart(Math.max(0, parseFloat(e.target.value) || 0))}
+                className="config-input"
+              />
+              <span className="input-unit">s</span>
+            </div>
+            <button
+              className="sync-detect-button"
+              onClick={handlePreview}
+              disabled={previewing || cameras.some(camera => !firstFiles[camera])}
+            >
+              {previewing ? 'Rendering...' : `Preview ${PREVIEW_DURATION}s`}
+            </button>
+          </div>
+          {previewError && <p className="sync-error">{previewError}</p>}
+          {preview && (
+            <>
+              <video className="sync-preview" src={preview.url} controls autoPlay />
+              <p className="config-hint">
+                {describeDelays(preview.delays)}
+                {cameras.length === 2 && (config.audioMode || 'stereo') === 'stereo' && ` · ${cameraName(cameras[0])} on the left speaker, ${cameraName(cameras[1])} on the right`}
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SyncPanel
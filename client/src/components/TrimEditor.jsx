@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react'
+import { setTrim, getFrameUrl } from '../api.js'
+import { formatDuration } from '../format.js'
+
+// Wait this long after the last slider move before fetching a frame
+const FRAME_DELAY_MS = 250
+
+function TrimEditor({ projectId, camera, file, onSave, onClose }) {
+  const duration = Number.isFinite(file.duration) ? file.duration : 0
+  const [start, setStart] = useState(file.trim?.start ?? 0)
+  const [end, setEnd] = useState(file.trim?.end ?? duration)
+  const [frameTime, setFrameTime] = useState(file.trim?.start ?? 0)
+  const [frameUrl, setFrameUrl] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Only fetch the frame once the slider settles
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFrameUrl(getFrameUrl(projectId, camera, file.id, frameTime))
+    }, FRAME_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [projectId, camera, file.id, frameTime])
+
+  const handleStartChange = (e) => {
+    const input = Math.max(0, parseFloat(e.target.value) || 0)
+    // With the clip's length unknown there is no out point to stay before
+    const value = duration > 0 ? Math.max(0, Math.min(input, end - 0.1)) : input
+    setStart(value)
+    setFrameTime(value)
+  }
+
+  const handleEndChange = (e) => {
+    const value = Math.max(Math.min(duration, parseFloat(e.target.value) || 0), start + 0.1)
+    setEnd(value)
+    // The last frame before the out point
+    setFrameTime(Math.max(start, value - 0.1))
+  }
+
+  const handleSave = async (trim) => {
+    setSaving(true)
+    setError(null)
+
+    try {
+      onSave(await setTrim(projectId, camera, file.id, trim))
+      onClose()
+    } catch (err) {
+      setError(err.message || 'Failed to save trim')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const round = (seconds) => Math.round(seconds * 10) / 10
+
+  return (
+    <div className="trim-editor">
+      {frameUrl && <img className="trim-frame" src={frameUrl} alt={`${file.filename} at ${round(frameTime)}s`} />}
+      <div className="trim-controls">
+        <label className="trim-row">
+          <span className="input-unit">In</span>
+          <input type="range" min="0" max={duration} step="0.1" value={start} onChange={handleStartChange} />
+          <input type="number" min="0" step="0.1" value={round(start)} onChange={handleStartChange} className="config-input" />
+          <span className="input-unit">s</span>
+        </label>
+        <label className="trim-row">
+          <span className="input-unit">Out</span>
+          <input type="range" min="0" max={duration} step="0.1" value={end} onChange={handleEndChange} />
+          <input type="number" min="0" step="0.1" value={round(end)} onChange={handleEndChange} className="config-input" />
+          <span className="input-unit">s</span>
+        </label>
+        <p className="config-hint">
+          Uses {formatDuration(end - start)} of {formatDuration(duration)}. Cut-off parts count as the camera being off, so the cameras stay in sync.
+        </p>
+        {error && <p className="sync-error">{error}</p>}
+        <div className="trim-actions">
+          <button className="sync-detect-button" onClick={() => handleSave({ start, end: end >= duration ? null : end })} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          {file.trim && (
+            <button className="uploading-action" onClick={() => handleSave({ start: 0, end: null })} disabled={saving}>
+              Use whole clip
+            </button>
+          )}
+          <button className="uploading-action" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TrimEditor
@@ -0,0 +1,81 @@
+/**
+ * Display formatting helpers shared by components
+ */
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(totalSeconds) {
+  const s = Math.floor(totalSeconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  if (h > 0) {
+    return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+  }
+  return `${m}:${String(sec).padStart(2, '0')}`;
+}
+
+/**
+ * Format a byte count as a human readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size (e.g. "1.4 GB")
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * One-line summary of a clip's ffprobe metadata
+ * @param {Object} probe - Metadata from the upload endpoint
+ * @returns {string} e.g. "H264 1920×1080 · 20 fps VFR · AAC 1ch 16 kHz · 1.2 Mb/s"
+ */
+export function formatProbe(probe) {
+  const parts = [];
+
+  if (probe.video) {
+    const { codec, width, height, fps, vfr, rotation } = probe.video;
+    parts.push(`${(codec || '?').toUpperCase()} ${width}×${height}`);
+    if (Number.isFinite(fps)) {
+      parts.push(`${Math.round(fps * 100) / 100} fps${vfr ? ' VFR' : ''}`);
+    }
+    if (rotation) {
+      parts.push(`rotated ${rotation}°`);
+    }
+  }
+
+  if (probe.audio) {
+    const { codec, channels, sampleRate } = probe.audio;
+    parts.push(`${(codec || '?').toUpperCase()} ${channels}ch ${sampleRate / 1000} kHz`);
+  } else {
+    parts.push('no audio');
+  }
+
+  if (Number.isFinite(probe.bitrate)) {
+    parts.push(probe.bitrate >= 1e6
+      ? `${(probe.bitrate / 1e6).toFixed(1)} Mb/s`
+      : `${Math.round(probe.bitrate / 1000)} kb/s`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Recording span read from a clip's burned-in timestamp
+ * @param {Object} wallClock - { start, end } as "YYYY-MM-DDTHH:MM:SS" (either may be null)
+ * @returns {string} e.g. "2025-12-01 20:14:20 – 20:15:20"
+ */
+export function formatWallClock({ start, end }) {
+  const date = (start || end).slice(0, 10);
+  const time = (value) => (value ? value.slice(11) : '?');
+  return `${date} ${time(start)} – ${time(end)}`;
+}
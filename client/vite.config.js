@@ -7,14 +7,6 @@ export default defineConfig({
   server: {
     port: 5173,
     proxy: {
-      '/upload': {
-        target: 'http://localhost:3001',
-        changeOrigin: true,
-      },
-      '/reset': {
-        target: 'http://localhost:3001',
-        changeOrigin: true,
-      },
       '/api': {
         target: 'http://localhost:3001',
         changeOrigin: true,
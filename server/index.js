@@ -1,7 +1,6 @@
 import express from 'express';
 import cors from 'cors';
-import uploadRoutes from './routes/upload.js';
-import resetRoutes from './routes/reset.js';
+import projectRoutes from './routes/projects.js';
 import processRoutes from './routes/process.js';
 
 const app = express();
@@ -14,8 +13,8 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.use('/upload', uploadRoutes);
-app.use('/reset', resetRoutes);
+// Uploads, order, process and reset live under /api/projects/:projectId
+app.use('/api/projects', projectRoutes);
 app.use('/api', processRoutes);
 
 app.listen(PORT, () => {
@@ -1,13 +1,21 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { promises as fs, readdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { combinePair, concatenateVideos, compressVideo, getVideoDuration, padVideo } from '../services/ffmpeg.js';
+import { promises as fs } from 'fs';
+import { join, basename, dirname } from 'path';
+import { combineVideos, concatenateVideos, concatenateWithGaps, compressVideo, getVideoDuration, padVideo, trimVideo, renderPreview, renderSegments } from '../services/ffmpeg.js';
+import { createJob, getJob, updateJob, listJobs, deleteJob, toPublicJob, getJobDir, removeJobFiles } from '../services/jobStore.js';
+import { updateProject, getPreviewPath } from '../services/projectStore.js';
+import { findUploadPath, getUpload } from '../services/uploadStore.js';
+import { estimateAudioOffset } from '../services/audioSync.js';
+import { findIdleTime, planSegments } from '../services/deadTime.js';
+import { appendJobLog, subscribeToJobEvents } from '../services/jobEvents.js';
+import { fingerprintStage, createCheckpoint, isCheckpointValid } from '../services/checkpoints.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
 const router = express.Router();
 
+// Order and process are scoped to a project (mounted under /api/projects/:projectId)
+export const projectRouter = express.Router({ mergeParams: true });
+
 /**
  * Logger with timestamp
  */
@@ -17,45 +25,59 @@ function log(message) {
 }
 
 /**
- * Find the actual file path by ID (files are stored as id.ext)
+ * Log a message and stream it to the job's event listeners
+ */
+function jobLog(jobId, message) {
+  log(message);
+  appendJobLog(jobId, message);
+}
+
+/**
+ * Find the actual file path of an upload, or throw if it is gone
  */
-function findFileById(dir, id) {
-  const files = readdirSync(dir);
-  const file = files.find(f => f.startsWith(id));
-  if (!file) {
+function findFileById(projectId, camera, id) {
+  const filePath = findUploadPath(projectId, camera, id);
+  if (!filePath) {
     throw new Error(`File not found for ID: ${id}`);
   }
-  return join(dir, file);
+  return filePath;
 }
 
-// In-memory storage for video ordering and job status
-let videoOrder = { a: [], b: [] };
-const jobs = new Map(); // jobId -> { progress, status, error? }
+// Jobs currently running in this process: jobId -> { controller, finished }
+const activeJobs = new Map();
+
+/**
+ * GET /projects/:projectId/order - Get the project's saved video ordering
+ */
+projectRouter.get('/order', (req, res) => {
+  res.json(req.project.order);
+});
 
 /**
- * POST /order - Set the final video ordering
- * Body: { a: [id1, id2, ...], b: [id1, id2, ...] }
+ * POST /projects/:projectId/order - Set the project's final video ordering
+ * Body: { a: [id1, id2, ...], b: [id1, id2, ...], ... } - one list per camera
  */
-router.post('/order', (req, res) => {
+projectRouter.post('/order', (req, res) => {
   try {
-    const { a, b } = req.body;
+    const { cameras } = req.project;
 
     // Validate input
-    if (!Array.isArray(a) || !Array.isArray(b)) {
+    if (!cameras.every(camera => Array.isArray(req.body[camera]))) {
       return res.status(400).json({
-        error: 'Invalid order format. Expected { a: [], b: [] }'
+        error: `Invalid order format. Expected { ${cameras.map(camera => `${camera}: []`).join(', ')} }`
       });
     }
 
     // Note: We no longer validate equal length here - it's done in /process based on mode
 
     // Store the order
-    videoOrder = { a, b };
+    const order = Object.fromEntries(cameras.map(camera => [camera, req.body[camera]]));
+    const project = updateProject(req.project.id, { order });
 
     res.json({
       success: true,
-      message: `Order set successfully with ${a.length} pairs`,
-      order: videoOrder
+      message: `Order set successfully with ${order[cameras[0]].length} pairs`,
+      order: project.order
     });
   } catch (error) {
     console.error('Error setting order:', error);
@@ -64,50 +86,177 @@ router.post('/order', (req, res) => {
 });
 
 /**
- * POST /process - Start FFmpeg processing pipeline
- * Body: { config: { crf, preset, maxWidth, audioBitrate, concatenateFirst } }
+ * GET /projects/:projectId/sync - Detect the offset of a camera from the
+ * first one by cross-correlating their audio
+ * Query: ?camera=<camera>&a=<id>&clip=<id> (defaults to camera B and the first
+ *   clip of each camera; a is the first camera's clip)
+ * Returns: { camera, a, clip, offsetSeconds, confidence, correlation }
+ */
+projectRouter.get('/sync', async (req, res) => {
+  const { project } = req;
+  const [reference] = project.cameras;
+  const camera = req.query.camera || project.cameras[1];
+
+  if (camera === reference || !project.cameras.includes(camera)) {
+    return res.status(400).json({ error: 'Invalid camera' });
+  }
+
+  const idA = req.query.a || project.order[reference][0];
+  const id = req.query.clip || project.order[camera][0];
+
+  if (!idA || !id) {
+    return res.status(400).json({ error: 'Upload at least one clip per camera first' });
+  }
+
+  const pathA = findUploadPath(project.id, reference, idA);
+  const clipPath = findUploadPath(project.id, camera, id);
+  if (!pathA || !clipPath) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  try {
+    res.json({ camera, a: idA, clip: id, ...(await estimateAudioOffset(pathA, clipPath)) });
+  } catch (error) {
+    console.error('Error detecting offset:', error);
+    res.status(500).json({ error: error.message || 'Failed to detect offset' });
+  }
+});
+
+/**
+ * POST /projects/:projectId/preview - Render a few seconds of all cameras'
+ * concatenated streams in the output layout, lined up as the process config would
+ * Body: { start, duration, config: { syncOffsets, offsetSeconds, layout, pipCorner, pipSize, labels, scales, audioMode, ... } }
+ * Returns: { url, delays } - delays: seconds each camera was held back
  */
-router.post('/process', async (req, res) => {
+projectRouter.post('/preview', async (req, res) => {
+  const { project } = req;
+  const { cameras, order } = project;
+  const { config = {} } = req.body;
+  const start = Math.max(0, Number(req.body.start) || 0);
+  const duration = Math.min(Math.max(Number(req.body.duration) || 5, 1), 30);
+
+  if (cameras.some(camera => order[camera].length === 0)) {
+    return res.status(400).json({ error: 'Upload at least one clip per camera first' });
+  }
+
+  try {
+    const cameraPaths = cameras.map(camera => order[camera].map(id => findFileById(project.id, camera, id)));
+    const firstClips = Object.fromEntries(cameras.map(camera => [camera, order[camera][0]]));
+    const trims = cameras.map(camera => getTrims(project.id, camera, order[camera]));
+    const trimStarts = Object.fromEntries(cameras.map((camera, i) => [camera, trims[i][0]?.start || 0]));
+    const { delays } = resolveStartDelays(project.id, config, firstClips, trimStarts);
+
+    // Render beside the real preview so a failed render leaves the last one playable
+    const previewPath = getPreviewPath(project.id);
+    const tempPath = `${previewPath}.tmp.mp4`;
+    await fs.mkdir(dirname(previewPath), { recursive: true });
+    await renderPreview(cameraPaths, tempPath, {
+      start,
+      duration,
+      delays: cameras.map(camera => delays[camera]),
+      layout: getLayoutConfig(config),
+      ...getLabelConfig(config, cameras),
+      audio: getAudioConfig(config, cameras),
+      trims
+    });
+    await fs.rename(tempPath, previewPath);
+
+    res.json({
+      url: `/api/projects/${project.id}/preview.mp4?t=${Date.now()}`,
+      delays
+    });
+  } catch (error) {
+    console.error('Error rendering preview:', error);
+    res.status(500).json({ error: error.message || 'Failed to render preview' });
+  }
+});
+
+/**
+ * GET /projects/:projectId/preview.mp4 - The last rendered preview
+ */
+projectRouter.get('/preview.mp4', (req, res) => {
+  res.sendFile(getPreviewPath(req.project.id), (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: 'No preview rendered yet' });
+    }
+  });
+});
+
+/**
+ * POST /projects/:projectId/process - Start FFmpeg processing pipeline
+ * Body: { config: { crf, preset, maxWidth, audioBitrate, concatenateFirst, syncOffsets, offsetSeconds } }
+ * syncOffsets: { b, c, ... } seconds to delay each camera relative to the first one
+ *   (negative delays the first one instead), e.g. from GET /sync
+ * offsetSeconds: { a, b, ... } manual per-camera delays, added on top of the detected offsets
+ * gapFill: 'black' or 'freeze' - what fills a camera's recording gaps in concatenate-first mode
+ * mismatchStrategy: 'pad-end', 'pad-start' or 'trim' - what to do when the cameras' lengths differ
+ *   by more than mismatchTolerance seconds (default 300) in concatenate-first mode
+ * padFill: 'freeze', 'black' or 'card' - what the padding shows
+ * layout: 'hstack' (side by side, a grid from four cameras), 'vstack', 'pip' or 'focus'
+ * pipCorner: 'top-left', 'top-right', 'bottom-left' or 'bottom-right' - where the picture-in-picture insets go
+ * pipSize: inset width as a fraction of the output width (0.1-0.5, default 0.3)
+ * labels: { a: 'Front', b: 'Side', ... } - text drawn on each camera (leftLabel/rightLabel for A/B also work)
+ * scales: { a: 1, b: 0.8, ... } - size of each camera within its frame (0.1-1; leftScale/rightScale also work)
+ * labelPosition: 'top-left', 'top', 'top-right', 'bottom-left', 'bottom' or 'bottom-right'
+ * labelSize: font size as a fraction of the camera's height (0.02-0.15, default 0.06)
+ * labelBox: draw a dark box behind the labels (default true)
+ * audioMode: 'stereo' (A left, B right; mixed with more cameras), 'mix', 'silent', or a camera id ('a', 'b', ...) for that camera only
+ * audioGains: { a: 0, b: -6, ... } - per camera gain in dB for 'mix' (-30 to 20)
+ * denoise: reduce steady background noise such as fan hiss in the final encode
+ * normalizeLoudness: two-pass EBU R128 loudness normalization in the final encode
+ * deadTime: 'off' (default), 'cut' or 'speed' - remove, or speed up, stretches where no camera shows motion or sound
+ * deadTimeMinIdle: only treat idle stretches at least this many seconds long (3-600, default 10)
+ * deadTimeSpeed: how many times faster 'speed' plays idle stretches, muted (2-32, default 8)
+ * deadTimeMotionThreshold: frame difference in dB below which a camera counts as still (-70 to -20, default -50)
+ * deadTimeSoundThreshold: level in dB below which a camera counts as silent (-70 to -20, default -40)
+ */
+projectRouter.post('/process', async (req, res) => {
   try {
     const { config = {} } = req.body;
     const { concatenateFirst = false } = config;
+    const { project } = req;
+    const { cameras } = project;
+    const videoOrder = project.order;
 
     // Validate that we have an order set
-    if (videoOrder.a.length === 0 || videoOrder.b.length === 0) {
+    if (cameras.some(camera => videoOrder[camera].length === 0)) {
       return res.status(400).json({
         error: 'No video order set. Call POST /order first'
       });
     }
 
     // Validate equal length for pair-by-pair mode only
-    if (!concatenateFirst && videoOrder.a.length !== videoOrder.b.length) {
+    if (!concatenateFirst && cameras.some(camera => videoOrder[camera].length !== videoOrder[cameras[0]].length)) {
       return res.status(400).json({
-        error: 'Arrays a and b must have the same length for pair-by-pair mode'
+        error: 'Every camera must have the same number of videos for pair-by-pair mode'
       });
     }
 
     // Generate job ID
     const jobId = uuidv4();
 
-    // Initialize job status
-    jobs.set(jobId, {
-      progress: 0,
-      status: 'processing'
+    // Snapshot the order so a later POST /order can't affect this job
+    const order = Object.fromEntries(cameras.map(camera => [camera, [...videoOrder[camera]]]));
+
+    // Initialize job record
+    createJob({
+      id: jobId,
+      projectId: project.id,
+      mode: concatenateFirst ? 'concatenate-first' : 'pair-by-pair',
+      config,
+      order,
+      inputs: describeInputs(project.id, order),
+      outputPath: join(getJobDir(jobId), 'final.mp4')
     });
 
+    // Remember the settings as the project's config
+    updateProject(project.id, { config });
+
     // Return job ID immediately
     res.json({ jobId });
 
-    // Start async processing based on mode (don't await)
-    const processFn = concatenateFirst ? processVideosConcatenateFirst : processVideos;
-    processFn(jobId, videoOrder, config).catch(error => {
-      console.error(`Job ${jobId} failed:`, error);
-      jobs.set(jobId, {
-        progress: 0,
-        status: 'error',
-        error: error.message
-      });
-    });
+    // Start async processing (don't await)
+    runJob(jobId, order, config);
 
   } catch (error) {
     console.error('Error starting process:', error);
@@ -115,28 +264,165 @@ router.post('/process', async (req, res) => {
   }
 });
 
+/**
+ * GET /jobs - List past and running jobs (newest first) for the output library
+ * Query: ?projectId=... to list a single project's jobs
+ */
+router.get('/jobs', (req, res) => {
+  const { projectId } = req.query;
+  res.json(listJobs({ projectId }).map(toPublicJob));
+});
+
+/**
+ * DELETE /jobs/:jobId - Remove a finished job and its output from the library
+ */
+router.delete('/jobs/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+
+  const job = getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status === 'processing') {
+    return res.status(409).json({ error: 'Cancel the job before deleting it' });
+  }
+
+  await removeJobFiles(jobId);
+  deleteJob(jobId);
+
+  res.json({ success: true });
+});
+
+/**
+ * POST /jobs/:jobId/cancel - Stop a running job and remove its intermediates
+ */
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+  const { jobId } = req.params;
+
+  const job = getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'processing') {
+    return res.status(409).json({
+      error: 'Job is not running',
+      status: job.status
+    });
+  }
+
+  const active = activeJobs.get(jobId);
+  if (active) {
+    // Kill the running ffmpeg command and wait for the pipeline to unwind
+    active.controller.abort();
+    await active.finished;
+  } else {
+    // Not running in this process, nothing to kill
+    await removeJobFiles(jobId);
+    updateJob(jobId, { status: 'cancelled', stage: null, error: null });
+  }
+
+  res.json(toPublicJob(getJob(jobId)));
+});
+
+/**
+ * POST /jobs/:jobId/resume - Continue a failed, interrupted or cancelled job.
+ * Stages whose checkpoints still match their inputs are skipped.
+ */
+router.post('/jobs/:jobId/resume', (req, res) => {
+  const { jobId } = req.params;
+
+  const job = getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!['error', 'interrupted', 'cancelled'].includes(job.status) || activeJobs.has(jobId)) {
+    return res.status(409).json({
+      error: 'Only failed, interrupted or cancelled jobs can be resumed',
+      status: job.status
+    });
+  }
+
+  const resumed = updateJob(jobId, {
+    status: 'processing',
+    error: null,
+    finishedAt: null,
+    resumedAt: new Date().toISOString()
+  });
+
+  res.json(toPublicJob(resumed));
+
+  // Start async processing (don't await)
+  runJob(jobId, job.order, job.config);
+});
+
+/**
+ * GET /jobs/:jobId/events - Server-Sent Events stream of job progress
+ * Sends a 'snapshot' of the job on connect, then stage, progress, log and a
+ * final done/failed/cancelled event. Supports Last-Event-ID for reconnects.
+ */
+router.get('/jobs/:jobId/events', (req, res) => {
+  const { jobId } = req.params;
+
+  const job = getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // Ask the browser to reconnect after 2s if the connection drops
+  res.write('retry: 2000\n\n');
+
+  // Snapshot has no id so it doesn't move the client's Last-Event-ID
+  res.write(`event: snapshot\ndata: ${JSON.stringify(toPublicJob(job))}\n\n`);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+  const unsubscribe = subscribeToJobEvents(jobId, lastEventId, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+
+  // Comment lines keep idle connections (and proxies) from timing out
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 /**
  * GET /status/:jobId - Get processing progress
  */
 router.get('/status/:jobId', (req, res) => {
   const { jobId } = req.params;
 
-  const job = jobs.get(jobId);
+  const job = getJob(jobId);
 
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
 
-  res.json(job);
+  res.json(toPublicJob(job));
 });
 
 /**
- * GET /download/:jobId - Serve the final video
+ * GET /jobs/:jobId/download (and legacy /download/:jobId) - Serve the final video
  */
-router.get('/download/:jobId', async (req, res) => {
+router.get(['/jobs/:jobId/download', '/download/:jobId'], async (req, res) => {
   const { jobId } = req.params;
 
-  const job = jobs.get(jobId);
+  const job = getJob(jobId);
 
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
@@ -150,33 +436,453 @@ router.get('/download/:jobId', async (req, res) => {
     });
   }
 
-  const finalPath = join(__dirname, '../../output/final.mp4');
-
   try {
-    await fs.access(finalPath);
-    res.download(finalPath, 'final.mp4');
+    await fs.access(job.outputPath);
+    res.download(job.outputPath, `final_${jobId}.mp4`);
   } catch (error) {
     console.error('Error serving file:', error);
     res.status(404).json({ error: 'File not found' });
   }
 });
 
+/**
+ * Record which uploads went into a job, so the library can show them
+ * even after the uploads themselves are gone
+ */
+function describeInputs(projectId, order) {
+  const describe = (camera, ids) => ids.map(id => {
+    const upload = getUpload(projectId, camera, id);
+    if (!upload) {
+      throw new Error(`File not found for ID: ${id}`);
+    }
+    return { id, filename: upload.filename };
+  });
+
+  return Object.fromEntries(Object.entries(order).map(([camera, ids]) => [camera, describe(camera, ids)]));
+}
+
+/**
+ * Seconds between the burned-in start times of two clips (positive when
+ * the second started later), or null if either is unknown
+ */
+function getWallClockOffset(uploadX, uploadY) {
+  const startX = Date.parse(uploadX?.wallClock?.start);
+  const startY = Date.parse(uploadY?.wallClock?.start);
+
+  if (!Number.isFinite(startX) || !Number.isFinite(startY)) {
+    return null;
+  }
+  return (startY - startX) / 1000;
+}
+
+// Gaps shorter than this are timestamp rounding, not the camera being off
+const MIN_GAP_SECONDS = 2;
+
+/**
+ * When each of two clips started recording, from the same clock for both:
+ * burned-in timestamps if both have them, else container creation times
+ * @returns {number[]|null} [startX, startY] in ms, or null if unknown
+ */
+function getRecordingStarts(x, y) {
+  for (const read of [upload => upload.wallClock?.start, upload => upload.probe?.creationTime]) {
+    const startX = Date.parse(read(x));
+    const startY = Date.parse(read(y));
+    if (Number.isFinite(startX) && Number.isFinite(startY)) {
+      return [startX, startY];
+    }
+  }
+  return null;
+}
+
+/**
+ * The part of each clip to use, as set with PUT /upload/:camera/:id/trim
+ * @returns {Array<Object|null>} Per clip { start, end }, or null to use all of it
+ */
+function getTrims(projectId, camera, ids) {
+  return ids.map(id => getUpload(projectId, camera, id)?.trim || null);
+}
+
+/**
+ * Seconds between the end of each of a camera's clips and the start of the
+ * next one, i.e. how long the camera was off; 0 where unknown or negligible.
+ * Trimmed-off parts count as off, so the rest stays on the recording clock.
+ * @returns {number[]} One entry per clip, the last always 0
+ */
+function findRecordingGaps(projectId, camera, ids) {
+  const uploads = ids.map(id => getUpload(projectId, camera, id));
+
+  return uploads.map((upload, i) => {
+    const next = uploads[i + 1];
+    const starts = next && Number.isFinite(upload.duration) ? getRecordingStarts(upload, next) : null;
+    if (!starts) {
+      return 0;
+    }
+
+    const end = Number.isFinite(upload.trim?.end) ? upload.trim.end : upload.duration;
+    const gap = (starts[1] - starts[0]) / 1000 + (next.trim?.start || 0) - end;
+    return gap >= MIN_GAP_SECONDS ? Math.round(gap * 1000) / 1000 : 0;
+  });
+}
+
+/**
+ * Whether some of a camera's clips have audio and others don't (going by
+ * their probe on upload). Stream copy would keep only the first clip's streams.
+ */
+function hasMixedAudio(projectId, camera, ids) {
+  const withAudio = ids
+    .map(id => getUpload(projectId, camera, id)?.probe)
+    .filter(Boolean)
+    .map(probe => probe.audio !== null);
+  return withAudio.includes(true) && withAudio.includes(false);
+}
+
+// Cameras whose lengths differ by less than this are left as they are
+const DEFAULT_MISMATCH_TOLERANCE = 300;
+
+const PAD_FILL_LABELS = { freeze: 'frozen frame', black: 'black', card: '"camera offline" card' };
+
+/**
+ * How to handle cameras of different lengths, with defaults filled in
+ * @returns {Object} { strategy, padFill, tolerance }
+ */
+function getLengthMismatchConfig(config) {
+  const tolerance = parseFloat(config.mismatchTolerance);
+  return {
+    strategy: ['pad-start', 'trim'].includes(config.mismatchStrategy) ? config.mismatchStrategy : 'pad-end',
+    padFill: Object.hasOwn(PAD_FILL_LABELS, config.padFill) ? config.padFill : 'freeze',
+    tolerance: Number.isFinite(tolerance) ? Math.max(0, tolerance) : DEFAULT_MISMATCH_TOLERANCE
+  };
+}
+
+const LAYOUT_LABELS = { hstack: 'side by side', vstack: 'stacked', pip: 'picture-in-picture', focus: 'focus' };
+const PIP_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * How to arrange the cameras in the output, with defaults filled in
+ * @returns {Object} { type, corner, size } - size: inset width as a fraction of the output width
+ */
+function getLayoutConfig(config) {
+  const size = parseFloat(config.pipSize);
+  return {
+    type: Object.hasOwn(LAYOUT_LABELS, config.layout) ? config.layout : 'hstack',
+    corner: PIP_CORNERS.includes(config.pipCorner) ? config.pipCorner : 'bottom-right',
+    size: Number.isFinite(size) ? Math.min(Math.max(size, 0.1), 0.5) : 0.3
+  };
+}
+
+const AUDIO_MODE_LABELS = { stereo: 'stereo', mix: 'mixed', silent: 'silent' };
+
+/**
+ * Which audio ends up in the output, with defaults filled in. audioMode is
+ * 'stereo', 'mix', 'silent' or a camera id for that camera only
+ * @param {Object} config - Process config
+ * @param {string[]} cameras - Cameras in order
+ * @returns {Object} { mode, camera, gains } - camera: index of the camera used alone,
+ *   gains: per camera in dB, for 'mix'
+ */
+function getAudioConfig(config, cameras) {
+  const gains = cameras.map(camera => {
+    const gain = parseFloat(config.audioGains?.[camera]);
+    return Number.isFinite(gain) ? Math.min(Math.max(gain, -30), 20) : 0;
+  });
+
+  if (cameras.includes(config.audioMode)) {
+    return { mode: 'camera', camera: cameras.indexOf(config.audioMode), gains };
+  }
+  return {
+    mode: Object.hasOwn(AUDIO_MODE_LABELS, config.audioMode) ? config.audioMode : 'stereo',
+    camera: 0,
+    gains
+  };
+}
+
+/**
+ * The audio config in words, for the job log
+ */
+function describeAudio({ mode, camera }, cameras) {
+  return mode === 'camera' ? `Camera ${cameras[camera].toUpperCase()} only` : AUDIO_MODE_LABELS[mode];
+}
+
+/**
+ * The final encode's audio clean-up in words, for the job log (null for none)
+ */
+function describeAudioCleanup(config) {
+  const steps = [
+    config.denoise && 'noise reduction',
+    config.normalizeLoudness && 'loudness normalization (two passes)'
+  ].filter(Boolean);
+  return steps.length > 0 ? steps.join(' + ') : null;
+}
+
+// Idle stretches shorter than this are left in
+const DEFAULT_MIN_IDLE = 10;
+// How many times faster idle stretches play in 'speed' mode
+const DEFAULT_IDLE_SPEED = 8;
+// Frame difference (dB) below which a camera counts as still
+const DEFAULT_MOTION_THRESHOLD = -50;
+// Level (dB) below which a camera counts as silent
+const DEFAULT_SOUND_THRESHOLD = -40;
+
+/**
+ * Whether to remove or speed up dead time, with defaults filled in
+ * @returns {Object} { mode, minIdle, speed, stillNoise, silenceNoise } - mode: 'off',
+ *   'cut' or 'speed'; stillNoise and silenceNoise: thresholds in dB for findIdleTime
+ */
+function getDeadTimeConfig(config) {
+  const minIdle = parseFloat(config.deadTimeMinIdle);
+  const speed = parseFloat(config.deadTimeSpeed);
+  const motion = parseFloat(config.deadTimeMotionThreshold);
+  const sound = parseFloat(config.deadTimeSoundThreshold);
+  return {
+    mode: ['cut', 'speed'].includes(config.deadTime) ? config.deadTime : 'off',
+    minIdle: Number.isFinite(minIdle) ? Math.min(Math.max(minIdle, 3), 600) : DEFAULT_MIN_IDLE,
+    speed: Number.isFinite(speed) ? Math.min(Math.max(speed, 2), 32) : DEFAULT_IDLE_SPEED,
+    stillNoise: Number.isFinite(motion) ? Math.min(Math.max(motion, -70), -20) : DEFAULT_MOTION_THRESHOLD,
+    silenceNoise: Number.isFinite(sound) ? Math.min(Math.max(sound, -70), -20) : DEFAULT_SOUND_THRESHOLD
+  };
+}
+
+const LABEL_POSITIONS = ['top-left', 'top', 'top-right', 'bottom-left', 'bottom', 'bottom-right'];
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * Each camera's label and scale, in camera order, and the label style, with
+ * defaults filled in. leftLabel/rightLabel and leftScale/rightScale, from
+ * before more cameras, apply to the first two cameras.
+ * @param {Object} config - Process config
+ * @param {string[]} cameras - Cameras in order
+ * @returns {Object} { labels, scales, labelStyle: { position, size, box } }
+ */
+function getLabelConfig(config, cameras) {
+  const labels = { [cameras[0]]: config.leftLabel, [cameras[1]]: config.rightLabel, ...config.labels };
+  const scales = { [cameras[0]]: config.leftScale, [cameras[1]]: config.rightScale, ...config.scales };
+  const size = parseFloat(config.labelSize);
+
+  return {
+    labels: cameras.map(camera => (
+      typeof labels[camera] === 'string' ? labels[camera].replace(/\s+/g, ' ').trim().slice(0, MAX_LABEL_LENGTH) : ''
+    )),
+    scales: cameras.map(camera => {
+      const scale = parseFloat(scales[camera]);
+      return Number.isFinite(scale) ? Math.min(Math.max(scale, 0.1), 1) : 1;
+    }),
+    labelStyle: {
+      position: LABEL_POSITIONS.includes(config.labelPosition) ? config.labelPosition : 'top-left',
+      size: Number.isFinite(size) ? Math.min(Math.max(size, 0.02), 0.15) : 0.06,
+      box: config.labelBox !== false
+    }
+  };
+}
+
+/**
+ * How far to delay each camera so they all line up. Each camera's offset
+ * from the first one is its confirmed sync offset if there is one, else the
+ * burned-in start times of the cameras' first clips, nudged by the manual
+ * per-camera offsets; the camera that started last is not delayed at all.
+ * Cutting the start off a camera's first clip makes it start that much later.
+ * @param {string} projectId - Project identifier
+ * @param {Object} config - Processing configuration
+ * @param {Object} firstClips - Each camera's first clip ID, in camera order (in pair-by-pair
+ *   mode, the pair's clips); null IDs go by the sync and manual offsets only
+ * @param {Object} trimStarts - Per camera, seconds trimmed off the start of that clip
+ * @returns {Object} { delays, sources } - per camera, seconds to delay it and why
+ */
+function resolveStartDelays(projectId, config, firstClips, trimStarts = {}) {
+  const cameras = Object.keys(firstClips);
+  const [reference] = cameras;
+  const upload = camera => firstClips[camera] && getUpload(projectId, camera, firstClips[camera]);
+  const manual = camera => Number(config.offsetSeconds?.[camera]) || 0;
+
+  const syncOffsets = config.syncOffsets || {};
+
+  const offsets = cameras.map(camera => {
+    if (camera === reference) {
+      return { offset: 0, source: null };
+    }
+
+    const nudge = manual(camera) - manual(reference);
+    if (Number.isFinite(syncOffsets[camera])) {
+      return { offset: syncOffsets[camera] + nudge, source: 'sync offset', minOffset: 0.05 };
+    }
+
+    const wallClockOffset = getWallClockOffset(upload(reference), upload(camera));
+    if (wallClockOffset !== null) {
+      return nudge
+        ? { offset: wallClockOffset + nudge, source: 'burned-in timestamps + manual offset', minOffset: 0.05 }
+        : { offset: wallClockOffset, source: 'burned-in timestamps', minOffset: 1 };  // timestamps only have whole seconds
+    }
+
+    return { offset: nudge, source: 'manual offset', minOffset: 0.05 };
+  }).map(entry => (Math.abs(entry.offset) < entry.minOffset ? { offset: 0, source: null } : entry))
+    .map((entry, i) => {
+      const trimmed = (trimStarts[cameras[i]] || 0) - (trimStarts[reference] || 0);
+      return trimmed ? { offset: entry.offset + trimmed, source: entry.source || 'trim points' } : entry;
+    });
+
+  // Delay everyone relative to whoever started first
+  const earliest = offsets.reduce((min, entry) => (entry.offset < min.offset ? entry : min));
+  return {
+    delays: Object.fromEntries(cameras.map((camera, i) => [camera, Math.round((offsets[i].offset - earliest.offset) * 1000) / 1000])),
+    sources: Object.fromEntries(cameras.map((camera, i) => [camera, offsets[i].source || earliest.source]))
+  };
+}
+
+/**
+ * Find the dead time in the output, log it and split the output into
+ * segments to render. Looking decodes every clip, so it is a stage of its
+ * own and its findings are kept in idle.json.
+ * @param {string} jobId - Job identifier
+ * @param {Object[]} tracks - The output's clips, as for findIdleTime
+ * @param {number} totalDuration - Length of the output
+ * @param {Object} deadTime - From getDeadTimeConfig
+ * @param {Function} onProgress - Progress callback (percent: 0-100)
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
+ * @returns {Promise<Object>} { segments, summary } - segments for renderSegments (null
+ *   when there is no dead time), summary for the job result
+ */
+async function segmentDeadTime(jobId, tracks, totalDuration, deadTime, onProgress, signal) {
+  const { mode, minIdle, speed, stillNoise, silenceNoise } = deadTime;
+  const idlePath = join(getJobDir(jobId), 'idle.json');
+
+  await runStage(jobId, 'detect_idle', {
+    inputs: [...new Set(tracks.map(track => track.path))],
+    output: idlePath,
+    params: { tracks, totalDuration, minIdle, stillNoise, silenceNoise }
+  }, async () => {
+    const found = await findIdleTime(tracks, totalDuration, { minIdle, stillNoise, silenceNoise, onProgress, signal });
+    await fs.writeFile(idlePath, JSON.stringify(found));
+  });
+
+  const found = JSON.parse(await fs.readFile(idlePath, 'utf8'));
+  // Sped up, idle time still takes 1/speed of its length
+  const removedSeconds = mode === 'speed'
+    ? Math.round(found.removedSeconds * (1 - 1 / speed) * 100) / 100
+    : found.removedSeconds;
+  const summary = { mode, ...(mode === 'speed' && { speed }), removedSeconds, intervals: found.idle };
+
+  if (found.idle.length === 0) {
+    jobLog(jobId, '  No dead time found');
+    return { segments: null, summary };
+  }
+
+  const stretches = `${found.idle.length} stretch${found.idle.length === 1 ? '' : 'es'}`;
+  jobLog(jobId, mode === 'speed'
+    ? `  Playing ${found.removedSeconds.toFixed(1)}s of dead time in ${stretches} at ${speed}x (${removedSeconds.toFixed(1)}s shorter)`
+    : `  Removing ${found.removedSeconds.toFixed(1)}s of dead time in ${stretches}`);
+  found.idle.forEach(({ start, end }) => jobLog(jobId, `    ${start.toFixed(1)}s - ${end.toFixed(1)}s`));
+
+  return { segments: planSegments(found, deadTime), summary };
+}
+
+/**
+ * Mark a job as done, recording the output's duration and size (plus any
+ * summary of the job's own, e.g. the dead time removed), and drop the
+ * intermediates - only the final video is kept in the library
+ */
+async function finishJob(jobId, summary = {}) {
+  const { outputPath } = getJob(jobId);
+  const [duration, stat] = await Promise.all([
+    getVideoDuration(outputPath).catch(() => null),
+    fs.stat(outputPath)
+  ]);
+
+  const entries = await fs.readdir(getJobDir(jobId));
+  await Promise.all(entries
+    .filter(entry => entry !== basename(outputPath))
+    .map(entry => fs.rm(join(getJobDir(jobId), entry), { recursive: true, force: true })));
+
+  updateJob(jobId, {
+    progress: 100,
+    status: 'done',
+    stage: null,
+    checkpoints: {},
+    result: { duration, size: stat.size, ...summary }
+  });
+}
+
+/**
+ * Run one pipeline stage, or skip it when the job has a checkpoint for it
+ * with the same input fingerprint and an untouched output file.
+ * @param {string} jobId - Job identifier
+ * @param {string} stage - Stage name (e.g. 'pair_3', 'concat_a')
+ * @param {Object} files - Stage files
+ * @param {string[]} files.inputs - Files the stage reads
+ * @param {string} files.output - File the stage writes
+ * @param {Object} files.params - Settings that affect the output
+ * @param {Function} run - Performs the stage
+ * @returns {Promise<boolean>} True if the stage ran, false if reused
+ */
+async function runStage(jobId, stage, { inputs, output, params = {} }, run) {
+  updateJob(jobId, { stage });
+
+  const fingerprint = await fingerprintStage(inputs, params);
+  const { checkpoints = {} } = getJob(jobId);
+
+  if (await isCheckpointValid(checkpoints[stage], fingerprint)) {
+    jobLog(jobId, `Stage ${stage} is up to date, reusing ${basename(output)}`);
+    return false;
+  }
+
+  // Drop any old checkpoint first: the stage is about to overwrite its output
+  const { [stage]: _stale, ...remaining } = checkpoints;
+  updateJob(jobId, { checkpoints: remaining });
+
+  await run();
+
+  updateJob(jobId, {
+    checkpoints: { ...getJob(jobId).checkpoints, [stage]: await createCheckpoint(fingerprint, output) }
+  });
+  return true;
+}
+
+/**
+ * Run a job's pipeline, tracking it so it can be cancelled
+ * @param {string} jobId - Job identifier
+ * @param {Object} order - Video ordering, one list per camera { a: [], b: [], ... }
+ * @param {Object} config - Processing configuration
+ */
+async function runJob(jobId, order, config) {
+  const controller = new AbortController();
+  const processFn = config.concatenateFirst ? processVideosConcatenateFirst : processVideos;
+
+  const finished = (async () => {
+    try {
+      await processFn(jobId, order, config, controller.signal);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        jobLog(jobId, `Job ${jobId} cancelled, removing intermediates`);
+        await removeJobFiles(jobId);
+        updateJob(jobId, { status: 'cancelled', stage: null, error: null });
+      } else {
+        console.error(`Job ${jobId} failed:`, error);
+      }
+    } finally {
+      activeJobs.delete(jobId);
+    }
+  })();
+
+  activeJobs.set(jobId, { controller, finished });
+  await finished;
+}
+
 /**
  * Main processing pipeline
  * @param {string} jobId - Job identifier
- * @param {Object} order - Video ordering { a: [], b: [] }
+ * @param {Object} order - Video ordering, one list per camera { a: [], b: [], ... }
  * @param {Object} config - Compression configuration
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
  */
-async function processVideos(jobId, order, config) {
-  const { a, b } = order;
-  const numPairs = a.length;
+async function processVideos(jobId, order, config, signal) {
+  const cameras = Object.keys(order);
+  const numPairs = order[cameras[0]].length;
 
-  // Calculate total steps: pairs + concat + compress
-  const totalSteps = numPairs + 2;
+  // Calculate total steps: pairs + concat + (dead time) + compress
+  const deadTime = getDeadTimeConfig(config);
+  const totalSteps = numPairs + 2 + (deadTime.mode === 'off' ? 0 : 1);
   let completedSteps = 0;
 
-  // Ensure output directories exist
-  const outputDir = join(__dirname, '../../output');
+  // Ensure the job's working directories exist
+  const outputDir = getJobDir(jobId);
   const pairsDir = join(outputDir, 'pairs');
 
   try {
@@ -186,95 +892,160 @@ async function processVideos(jobId, order, config) {
   }
 
   const pairPaths = [];
+  // Each pair's clips, for finding dead time
+  const pairTracks = [];
 
   try {
-    // Step 1: Process each pair (combine side-by-side)
-    const uploadsADir = join(__dirname, '../../uploads/a');
-    const uploadsBDir = join(__dirname, '../../uploads/b');
+    // Step 1: Process each pair (combine in the chosen layout)
+    const { projectId } = getJob(jobId);
+    const layout = getLayoutConfig(config);
+    const decoration = getLabelConfig(config, cameras);
+    const audio = getAudioConfig(config, cameras);
+    jobLog(jobId, `Audio: ${describeAudio(audio, cameras)}`);
 
     for (let i = 0; i < numPairs; i++) {
-      const videoAPath = findFileById(uploadsADir, a[i]);
-      const videoBPath = findFileById(uploadsBDir, b[i]);
+      const videoPaths = cameras.map(camera => findFileById(projectId, camera, order[camera][i]));
       const pairOutputPath = join(pairsDir, `pair_${i + 1}.mp4`);
-
-      console.log(`Processing pair ${i + 1}/${numPairs}...`);
+      const trims = cameras.map(camera => getTrims(projectId, camera, [order[camera][i]])[0]);
+      const trimStarts = Object.fromEntries(cameras.map((camera, j) => [camera, trims[j]?.start || 0]));
+      // Each pair lines up by its own clips' burned-in start times, unless a sync offset is set
+      const pairClips = Object.fromEntries(cameras.map(camera => [camera, order[camera][i]]));
+      const { delays, sources } = resolveStartDelays(projectId, config, pairClips, trimStarts);
+      const pairDelays = cameras.map(camera => delays[camera]);
+
+      jobLog(jobId, `Processing pair ${i + 1}/${numPairs}...`);
+      cameras.filter(camera => delays[camera] > 0).forEach(camera => {
+        jobLog(jobId, `  Delaying Camera ${camera.toUpperCase()} by ${delays[camera]}s (${sources[camera]})`);
+      });
 
       // Combine the pair with progress tracking
-      await combinePair(videoAPath, videoBPath, pairOutputPath, (percent) => {
+      await runStage(jobId, `pair_${i + 1}`, {
+        inputs: videoPaths,
+        output: pairOutputPath,
+        params: { delays: pairDelays, layout, ...decoration, audio, trims }
+      }, () => combineVideos(videoPaths, pairOutputPath, (percent) => {
         // Update progress for this pair
         const pairProgress = percent / 100;
         const overallProgress = ((completedSteps + pairProgress) / totalSteps) * 100;
 
-        jobs.set(jobId, {
+        updateJob(jobId, {
           progress: Math.round(overallProgress),
           status: 'processing'
         });
-      });
+      }, {}, { signal, delays: pairDelays, layout, ...decoration, audio, trims }));
 
       pairPaths.push(pairOutputPath);
+      pairTracks.push(cameras.map((camera, j) => ({ path: videoPaths[j], delay: pairDelays[j], trim: trims[j] })));
       completedSteps++;
 
       // Update progress after completing this pair
       const overallProgress = (completedSteps / totalSteps) * 100;
-      jobs.set(jobId, {
+      updateJob(jobId, {
         progress: Math.round(overallProgress),
         status: 'processing'
       });
 
-      console.log(`Pair ${i + 1}/${numPairs} complete`);
+      jobLog(jobId, `Pair ${i + 1}/${numPairs} complete`);
     }
 
     // Step 2: Concatenate all pairs
-    console.log('Concatenating all pairs...');
+    jobLog(jobId, 'Concatenating all pairs...');
     const combinedPath = join(outputDir, 'combined.mp4');
 
-    await concatenateVideos(pairPaths, combinedPath, (percent) => {
+    await runStage(jobId, 'concat', {
+      inputs: pairPaths,
+      output: combinedPath
+    }, () => concatenateVideos(pairPaths, combinedPath, (percent) => {
       // Update progress for concatenation
       const concatProgress = percent / 100;
       const overallProgress = ((completedSteps + concatProgress) / totalSteps) * 100;
 
-      jobs.set(jobId, {
+      updateJob(jobId, {
         progress: Math.round(overallProgress),
         status: 'processing'
       });
-    });
+    }, { signal }));
 
     completedSteps++;
-    jobs.set(jobId, {
+    updateJob(jobId, {
       progress: Math.round((completedSteps / totalSteps) * 100),
       status: 'processing'
     });
 
-    console.log('Concatenation complete');
+    jobLog(jobId, 'Concatenation complete');
 
-    // Step 3: Compress final video
-    console.log('Compressing final video...');
-    const finalPath = join(outputDir, 'final.mp4');
+    // Optional step: Cut out, or speed up, the stretches where nothing happens
+    let compressInput = combinedPath;
+    let summary = {};
 
-    await compressVideo(combinedPath, finalPath, config, (percent) => {
+    if (deadTime.mode !== 'off') {
+      jobLog(jobId, `Looking for dead time (no motion or sound on any camera for ${deadTime.minIdle}s or more)...`);
+      const onProgress = (from, share) => (percent) => {
+        const overallProgress = ((completedSteps + from + share * (percent / 100)) / totalSteps) * 100;
+        updateJob(jobId, { progress: Math.round(overallProgress), status: 'processing' });
+      };
+
+      // Place each pair's clips on the combined video's timeline
+      const pairDurations = await Promise.all(pairPaths.map(pairPath => getVideoDuration(pairPath)));
+      const tracks = pairTracks.flatMap((clips, i) => {
+        const pairStart = pairDurations.slice(0, i).reduce((sum, duration) => sum + duration, 0);
+        return clips.map(({ path, delay, trim }) => ({ path, offset: pairStart + delay, trim, end: pairStart + pairDurations[i] }));
+      });
+
+      const { segments, summary: deadTimeSummary } = await segmentDeadTime(
+        jobId, tracks, await getVideoDuration(combinedPath), deadTime, onProgress(0, 0.5), signal
+      );
+
+      if (segments) {
+        const segmentedPath = join(outputDir, 'combined_segmented.mp4');
+        await runStage(jobId, 'segment', {
+          inputs: [combinedPath],
+          output: segmentedPath,
+          params: { segments }
+        }, () => renderSegments(combinedPath, segmentedPath, segments, onProgress(0.5, 0.5), { signal }));
+        compressInput = segmentedPath;
+      }
+
+      summary = { deadTime: deadTimeSummary };
+      completedSteps++;
+    }
+
+    // Last step: Compress final video
+    jobLog(jobId, 'Compressing final video...');
+    const audioCleanup = describeAudioCleanup(config);
+    if (audioCleanup) {
+      jobLog(jobId, `  Audio: ${audioCleanup}`);
+    }
+    const finalPath = getJob(jobId).outputPath;
+
+    await runStage(jobId, 'compress', {
+      inputs: [compressInput],
+      output: finalPath,
+      params: config
+    }, () => compressVideo(compressInput, finalPath, config, (percent) => {
       // Update progress for compression
       const compressProgress = percent / 100;
       const overallProgress = ((completedSteps + compressProgress) / totalSteps) * 100;
 
-      jobs.set(jobId, {
+      updateJob(jobId, {
         progress: Math.round(overallProgress),
         status: 'processing'
       });
-    });
+    }, { signal }));
 
     completedSteps++;
 
     // Mark as done
-    jobs.set(jobId, {
-      progress: 100,
-      status: 'done'
-    });
+    await finishJob(jobId, summary);
 
-    console.log(`Job ${jobId} completed successfully`);
+    jobLog(jobId, `Job ${jobId} completed successfully`);
 
   } catch (error) {
-    console.error(`Error processing job ${jobId}:`, error);
-    jobs.set(jobId, {
+    if (signal.aborted) {
+      throw error;  // Cancelled - runJob marks the job and cleans up
+    }
+    jobLog(jobId, `Error processing job ${jobId}: ${error.message}`);
+    updateJob(jobId, {
       progress: Math.round((completedSteps / totalSteps) * 100),
       status: 'error',
       error: error.message
@@ -285,149 +1056,244 @@ async function processVideos(jobId, order, config) {
 
 /**
  * Concatenate-first processing pipeline
- * 1. Concatenate all Camera A videos
- * 2. Concatenate all Camera B videos
- * 3. Pad shorter video if durations differ
- * 4. Combine side-by-side
- * 5. Compress
+ * 1. Concatenate each camera's videos
+ * 2. Delay the cameras that started recording first, so all line up
+ * 3. Pad (or trim) cameras whose lengths differ
+ * 4. Optionally cut out, or speed up, the dead time
+ * 5. Combine side-by-side (or in a grid) + compress
  *
  * @param {string} jobId - Job identifier
- * @param {Object} order - Video ordering { a: [], b: [] }
+ * @param {Object} order - Video ordering, one list per camera { a: [], b: [], ... }
  * @param {Object} config - Compression configuration
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
  */
-async function processVideosConcatenateFirst(jobId, order, config) {
-  const { a, b } = order;
-
-  log(`=== Starting job ${jobId} (Concatenate-First Mode) ===`);
-  log(`Camera A: ${a.length} videos, Camera B: ${b.length} videos`);
-  log(`Config: CRF=${config.crf || 28}, preset=${config.preset || 'slow'}, maxWidth=${config.maxWidth || 'original'}`);
-
-  // Total steps: concat_a + concat_b + (optional pad) + combine+compress (merged)
-  // We'll count pad as part of the combine step for simplicity
-  const totalSteps = 3;
+async function processVideosConcatenateFirst(jobId, order, config, signal) {
+  const cameras = Object.keys(order);
+  const cameraName = camera => `Camera ${camera.toUpperCase()}`;
+
+  jobLog(jobId, `=== Starting job ${jobId} (Concatenate-First Mode) ===`);
+  jobLog(jobId, cameras.map(camera => `${cameraName(camera)}: ${order[camera].length} videos`).join(', '));
+  jobLog(jobId, `Config: CRF=${config.crf || 28}, preset=${config.preset || 'slow'}, maxWidth=${config.maxWidth || 'original'}`);
+
+  // Total steps: one concat per camera + (optional align/pad) + (dead time) + combine+compress (merged)
+  // We'll count align and pad as part of the combine step for simplicity
+  const deadTime = getDeadTimeConfig(config);
+  const totalSteps = cameras.length + 1 + (deadTime.mode === 'off' ? 0 : 1);
   let completedSteps = 0;
 
-  // Ensure output directory exists
-  const outputDir = join(__dirname, '../../output');
+  // Ensure the job's working directory exists
+  const outputDir = getJobDir(jobId);
   try {
     await fs.mkdir(outputDir, { recursive: true });
   } catch (error) {
     // Directory might already exist, ignore
   }
 
-  const uploadsADir = join(__dirname, '../../uploads/a');
-  const uploadsBDir = join(__dirname, '../../uploads/b');
+  const { projectId } = getJob(jobId);
+  const gapFill = config.gapFill === 'freeze' ? 'freeze' : 'black';
 
-  try {
-    // Step 1: Concatenate all Camera A videos (stream copy - fast, no re-encoding)
-    const videoAPaths = a.map(id => findFileById(uploadsADir, id));
-    log(`[Step 1/3] Concatenating ${videoAPaths.length} Camera A videos (stream copy)...`);
-    const concatAPath = join(outputDir, 'concat_a.mp4');
-
-    let lastLoggedPercentA = 0;
-    await concatenateVideos(videoAPaths, concatAPath, (percent) => {
-      if (percent >= lastLoggedPercentA + 10) {
-        log(`  Camera A concatenation: ${percent}%`);
-        lastLoggedPercentA = percent;
-      }
-      const stepProgress = percent / 100;
-      const overallProgress = ((completedSteps + stepProgress) / totalSteps) * 100;
-      jobs.set(jobId, { progress: Math.round(overallProgress), status: 'processing' });
-    }, { reencode: false });  // Stream copy - no re-encoding needed for same-camera concat
+  // Where a camera was off between clips, fill the gap so everything after
+  // it stays in sync with the other cameras
+  const logGaps = (camera, ids, gaps) => gaps.forEach((gap, i) => {
+    if (gap > 0) {
+      const { filename } = getUpload(projectId, camera, ids[i]);
+      jobLog(jobId, `${cameraName(camera)} was off for ${gap}s after ${filename}, filling with ${gapFill === 'freeze' ? 'its last frame' : 'black'}`);
+    }
+  });
 
-    completedSteps++;
-    jobs.set(jobId, { progress: Math.round((completedSteps / totalSteps) * 100), status: 'processing' });
-    log(`[Step 1/3] Camera A concatenation complete`);
-
-    // Step 2: Concatenate all Camera B videos (stream copy - fast, no re-encoding)
-    const videoBPaths = b.map(id => findFileById(uploadsBDir, id));
-    log(`[Step 2/3] Concatenating ${videoBPaths.length} Camera B videos (stream copy)...`);
-    const concatBPath = join(outputDir, 'concat_b.mp4');
-
-    let lastLoggedPercentB = 0;
-    await concatenateVideos(videoBPaths, concatBPath, (percent) => {
-      if (percent >= lastLoggedPercentB + 10) {
-        log(`  Camera B concatenation: ${percent}%`);
-        lastLoggedPercentB = percent;
-      }
-      const stepProgress = percent / 100;
-      const overallProgress = ((completedSteps + stepProgress) / totalSteps) * 100;
-      jobs.set(jobId, { progress: Math.round(overallProgress), status: 'processing' });
-    }, { reencode: false });  // Stream copy - no re-encoding needed for same-camera concat
+  try {
+    // Steps 1..N: Concatenate each camera's videos (stream copy - fast, no re-encoding - unless there are gaps to fill)
+    const concatPaths = {};
+
+    for (const [index, camera] of cameras.entries()) {
+      const step = `[Step ${index + 1}/${totalSteps}]`;
+      const videoPaths = order[camera].map(id => findFileById(projectId, camera, id));
+      const gaps = findRecordingGaps(projectId, camera, order[camera]);
+      const hasGaps = gaps.some(gap => gap > 0);
+      const mixedAudio = hasMixedAudio(projectId, camera, order[camera]);
+      const trims = getTrims(projectId, camera, order[camera]);
+      const trimmed = trims.some(Boolean);
+      const method = hasGaps
+        ? 'filling recording gaps'
+        : mixedAudio ? 'adding silence to clips without audio' : trimmed ? 'trimming clips' : 'stream copy';
+      jobLog(jobId, `${step} Concatenating ${videoPaths.length} ${cameraName(camera)} videos (${method})...`);
+      logGaps(camera, order[camera], gaps);
+      const concatPath = join(outputDir, `concat_${camera}.mp4`);
+
+      let lastLoggedPercent = 0;
+      const onProgress = (percent) => {
+        if (percent >= lastLoggedPercent + 10) {
+          jobLog(jobId, `  ${cameraName(camera)} concatenation: ${percent}%`);
+          lastLoggedPercent = percent;
+        }
+        const stepProgress = percent / 100;
+        const overallProgress = ((completedSteps + stepProgress) / totalSteps) * 100;
+        updateJob(jobId, { progress: Math.round(overallProgress), status: 'processing' });
+      };
+      await runStage(jobId, `concat_${camera}`, {
+        inputs: videoPaths,
+        output: concatPath,
+        params: { gaps, gapFill, trims }
+      }, () => hasGaps || mixedAudio || trimmed
+        ? concatenateWithGaps(videoPaths, concatPath, onProgress, { gaps, fill: gapFill, trims, signal })
+        : concatenateVideos(videoPaths, concatPath, onProgress, { reencode: false, signal }));  // Stream copy - no re-encoding needed for same-camera concat
+
+      concatPaths[camera] = concatPath;
+      completedSteps++;
+      updateJob(jobId, { progress: Math.round((completedSteps / totalSteps) * 100), status: 'processing' });
+      jobLog(jobId, `${step} ${cameraName(camera)} concatenation complete`);
+    }
 
-    completedSteps++;
-    jobs.set(jobId, { progress: Math.round((completedSteps / totalSteps) * 100), status: 'processing' });
-    log(`[Step 2/3] Camera B concatenation complete`);
+    // Line the cameras up: a camera that started recording earlier holds its
+    // first frame until the others catch up
+    const finalPaths = { ...concatPaths };
+
+    const firstClips = Object.fromEntries(cameras.map(camera => [camera, order[camera][0]]));
+    const trimStarts = Object.fromEntries(cameras.map(camera => [camera, getTrims(projectId, camera, [firstClips[camera]])[0]?.start || 0]));
+    const { delays, sources } = resolveStartDelays(projectId, config, firstClips, trimStarts);
+    for (const camera of cameras.filter(id => delays[id] > 0)) {
+      const delay = delays[camera];
+      const inputPath = finalPaths[camera];
+      const alignedPath = join(outputDir, `concat_${camera}_aligned.mp4`);
+
+      jobLog(jobId, `Delaying ${cameraName(camera)} by ${delay}s to line up with the camera that started last (${sources[camera]})...`);
+      await runStage(jobId, `align_${camera}`, {
+        inputs: [inputPath],
+        output: alignedPath,
+        params: { delay }
+      }, () => padVideo(inputPath, alignedPath, delay, null, { position: 'start', signal }));
+
+      finalPaths[camera] = alignedPath;
+    }
 
     // Check durations and pad if necessary
-    log(`Checking video durations...`);
-    const durationA = await getVideoDuration(concatAPath);
-    const durationB = await getVideoDuration(concatBPath);
+    jobLog(jobId, `Checking video durations...`);
+    const durations = {};
     const formatDuration = (s) => `${Math.floor(s / 60)}m ${(s % 60).toFixed(1)}s`;
-    log(`  Camera A: ${formatDuration(durationA)} (${durationA.toFixed(2)}s)`);
-    log(`  Camera B: ${formatDuration(durationB)} (${durationB.toFixed(2)}s)`);
-
-    let finalConcatAPath = concatAPath;
-    let finalConcatBPath = concatBPath;
-
-    const durationDiff = Math.abs(durationA - durationB);
-    if (durationDiff > 300) {
-      const targetDuration = Math.max(durationA, durationB);
-      const paddingAmount = durationDiff;
+    for (const camera of cameras) {
+      durations[camera] = await getVideoDuration(finalPaths[camera]);
+      jobLog(jobId, `  ${cameraName(camera)}: ${formatDuration(durations[camera])} (${durations[camera].toFixed(2)}s)`);
+    }
 
-      if (durationA < durationB) {
-        log(`Padding Camera A video (+${paddingAmount.toFixed(1)}s to match Camera B)...`);
-        const paddedAPath = join(outputDir, 'concat_a_padded.mp4');
-        let lastLoggedPadPercent = 0;
-        await padVideo(concatAPath, paddedAPath, paddingAmount, (percent) => {
-          if (percent >= lastLoggedPadPercent + 20) {
-            log(`  Padding Camera A: ${percent}%`);
-            lastLoggedPadPercent = percent;
-          }
-        });
-        log(`Padding Camera A complete`);
-        finalConcatAPath = paddedAPath;
-      } else {
-        log(`Padding Camera B video (+${paddingAmount.toFixed(1)}s to match Camera A)...`);
-        const paddedBPath = join(outputDir, 'concat_b_padded.mp4');
+    // Past the tolerance, either pad the shorter cameras up to the longest
+    // or trim the longer ones down to the shortest
+    const { strategy, padFill, tolerance } = getLengthMismatchConfig(config);
+    const longest = Math.max(...Object.values(durations));
+    const shortest = Math.min(...Object.values(durations));
+    const changes = [];
+
+    if (strategy === 'trim') {
+      for (const camera of cameras.filter(id => durations[id] - shortest > tolerance)) {
+        const seconds = durations[camera] - shortest;
+        const trimmedPath = join(outputDir, `concat_${camera}_trimmed.mp4`);
+        jobLog(jobId, `Trimming ${cameraName(camera)} video (-${seconds.toFixed(1)}s to match the shortest camera)...`);
+        await runStage(jobId, `trim_${camera}`, {
+          inputs: [finalPaths[camera]],
+          output: trimmedPath,
+          params: { duration: shortest }
+        }, () => trimVideo(finalPaths[camera], trimmedPath, shortest, { signal }));
+        jobLog(jobId, `Trimming ${cameraName(camera)} complete`);
+        finalPaths[camera] = trimmedPath;
+        changes.push({ camera, seconds });
+      }
+    } else {
+      const position = strategy === 'pad-start' ? 'start' : 'end';
+      for (const camera of cameras.filter(id => longest - durations[id] > tolerance)) {
+        const paddingAmount = longest - durations[camera];
+        const paddedPath = join(outputDir, `concat_${camera}_padded.mp4`);
+        jobLog(jobId, `Padding ${cameraName(camera)} video at the ${position} (+${paddingAmount.toFixed(1)}s of ${PAD_FILL_LABELS[padFill]} to match the longest camera)...`);
         let lastLoggedPadPercent = 0;
-        await padVideo(concatBPath, paddedBPath, paddingAmount, (percent) => {
+        await runStage(jobId, `pad_${camera}`, {
+          inputs: [finalPaths[camera]],
+          output: paddedPath,
+          params: { paddingAmount, position, fill: padFill }
+        }, () => padVideo(finalPaths[camera], paddedPath, paddingAmount, (percent) => {
           if (percent >= lastLoggedPadPercent + 20) {
-            log(`  Padding Camera B: ${percent}%`);
+            jobLog(jobId, `  Padding ${cameraName(camera)}: ${percent}%`);
             lastLoggedPadPercent = percent;
           }
-        });
-        log(`Padding Camera B complete`);
-        finalConcatBPath = paddedBPath;
+        }, { position, fill: padFill, signal }));
+        jobLog(jobId, `Padding ${cameraName(camera)} complete`);
+        finalPaths[camera] = paddedPath;
+        changes.push({ camera, seconds: paddingAmount });
       }
+    }
+
+    if (changes.length > 0) {
+      updateJob(jobId, { lengthMismatch: { strategy, fill: strategy === 'trim' ? null : padFill, changes } });
     } else {
-      log(`Duration difference (${durationDiff.toFixed(2)}s) is within tolerance, no padding needed`);
+      jobLog(jobId, `Duration difference (${(longest - shortest).toFixed(2)}s) is within tolerance (${tolerance}s), no padding needed`);
+    }
+
+    // Optional step: Cut out (or speed up) the same stretches, where nothing happens, in every camera
+    let summary = {};
+
+    if (deadTime.mode !== 'off') {
+      const step = `[Step ${totalSteps - 1}/${totalSteps}]`;
+      jobLog(jobId, `${step} Looking for dead time (no motion or sound on any camera for ${deadTime.minIdle}s or more)...`);
+      const onProgress = (from, share) => (percent) => {
+        const overallProgress = ((completedSteps + from + share * (percent / 100)) / totalSteps) * 100;
+        updateJob(jobId, { progress: Math.round(overallProgress), status: 'processing' });
+      };
+
+      const lengths = await Promise.all(cameras.map(camera => getVideoDuration(finalPaths[camera])));
+      const { segments, summary: deadTimeSummary } = await segmentDeadTime(
+        jobId, cameras.map(camera => ({ path: finalPaths[camera] })), Math.max(...lengths), deadTime, onProgress(0, 0.5), signal
+      );
+
+      for (const [index, camera] of (segments ? cameras : []).entries()) {
+        const segmentedPath = join(outputDir, `concat_${camera}_segmented.mp4`);
+        jobLog(jobId, `  Rendering ${cameraName(camera)} segments...`);
+        // The speed indicator goes on the first camera only, not on every view
+        await runStage(jobId, `segment_${camera}`, {
+          inputs: [finalPaths[camera]],
+          output: segmentedPath,
+          params: { segments, indicator: index === 0 }
+        }, () => renderSegments(finalPaths[camera], segmentedPath, segments, onProgress(0.5 + (0.5 * index) / cameras.length, 0.5 / cameras.length), { indicator: index === 0, signal }));
+        finalPaths[camera] = segmentedPath;
+      }
+
+      summary = { deadTime: deadTimeSummary };
+      completedSteps++;
+      jobLog(jobId, `${step} Dead time done`);
     }
 
-    // Step 3: Combine side-by-side + final compression (merged into single pass)
-    log(`[Step 3/3] Combining side-by-side + compressing (CRF: ${config.crf || 28}, preset: ${config.preset || 'superfast'})...`);
-    const finalPath = join(outputDir, 'final.mp4');
+    // Last step: Combine in the chosen layout + final compression (merged into single pass)
+    const layout = getLayoutConfig(config);
+    const audio = getAudioConfig(config, cameras);
+    const audioCleanup = describeAudioCleanup(config);
+    jobLog(jobId, `Audio: ${describeAudio(audio, cameras)}${audioCleanup ? `, ${audioCleanup}` : ''}`);
+    jobLog(jobId, `[Step ${totalSteps}/${totalSteps}] Combining ${cameras.length} cameras (${LAYOUT_LABELS[layout.type]}) + compressing (CRF: ${config.crf || 28}, preset: ${config.preset || 'superfast'})...`);
+    const finalPath = getJob(jobId).outputPath;
+    const combineInputs = cameras.map(camera => finalPaths[camera]);
 
     let lastLoggedCombine = 0;
-    await combinePair(finalConcatAPath, finalConcatBPath, finalPath, (percent) => {
+    await runStage(jobId, 'combine', {
+      inputs: combineInputs,
+      output: finalPath,
+      params: config
+    }, () => combineVideos(combineInputs, finalPath, (percent) => {
       if (percent >= lastLoggedCombine + 10) {
-        log(`  Combining + compressing: ${percent}%`);
+        jobLog(jobId, `  Combining + compressing: ${percent}%`);
         lastLoggedCombine = percent;
       }
       const stepProgress = percent / 100;
       const overallProgress = ((completedSteps + stepProgress) / totalSteps) * 100;
-      jobs.set(jobId, { progress: Math.round(overallProgress), status: 'processing' });
-    }, config);  // Pass compression config directly
+      updateJob(jobId, { progress: Math.round(overallProgress), status: 'processing' });
+    }, config, { signal, layout, ...getLabelConfig(config, cameras), audio }));  // Pass compression config directly
 
     completedSteps++;
 
     // Mark as done
-    jobs.set(jobId, { progress: 100, status: 'done' });
-    log(`Job ${jobId} completed successfully!`);
+    await finishJob(jobId, summary);
+    jobLog(jobId, `Job ${jobId} completed successfully!`);
 
   } catch (error) {
-    log(`ERROR in job ${jobId}: ${error.message}`);
-    jobs.set(jobId, {
+    if (signal.aborted) {
+      throw error;  // Cancelled - runJob marks the job and cleans up
+    }
+    jobLog(jobId, `ERROR in job ${jobId}: ${error.message}`);
+    updateJob(jobId, {
       progress: Math.round((completedSteps / totalSteps) * 100),
       status: 'error',
       error: error.message
@@ -0,0 +1,149 @@
+import express from 'express';
+import uploadRoutes from './upload.js';
+import resetRoutes from './reset.js';
+import { projectRouter as processRoutes } from './process.js';
+import { listProjects, getProject, createProject, updateProject, deleteProject, addCamera, removeCamera } from '../services/projectStore.js';
+import { listJobs, deleteJob, removeJobFiles } from '../services/jobStore.js';
+
+const router = express.Router();
+
+/**
+ * Load the project named in the URL into req.project, or 404
+ */
+function requireProject(req, res, next) {
+  const project = getProject(req.params.projectId);
+
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  req.project = project;
+  next();
+}
+
+/**
+ * Validate a project name from a request body
+ */
+function parseName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return null;
+  }
+  return name.trim();
+}
+
+/**
+ * GET /projects - List projects (most recently used first)
+ */
+router.get('/', (req, res) => {
+  res.json(listProjects());
+});
+
+/**
+ * POST /projects - Create a project
+ * Body: { name }
+ */
+router.post('/', (req, res) => {
+  const name = parseName(req.body.name);
+
+  if (!name) {
+    return res.status(400).json({ error: 'Project name is required' });
+  }
+
+  res.status(201).json(createProject(name));
+});
+
+/**
+ * GET /projects/:projectId - Get a project
+ */
+router.get('/:projectId', requireProject, (req, res) => {
+  res.json(req.project);
+});
+
+/**
+ * PATCH /projects/:projectId - Rename a project or save its config
+ * Body: { name?, config? }
+ */
+router.patch('/:projectId', requireProject, (req, res) => {
+  const updates = {};
+
+  if (req.body.name !== undefined) {
+    updates.name = parseName(req.body.name);
+    if (!updates.name) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+  }
+
+  if (req.body.config !== undefined) {
+    updates.config = req.body.config;
+  }
+
+  res.json(updateProject(req.project.id, updates));
+});
+
+/**
+ * DELETE /projects/:projectId - Delete a project with its uploads and jobs
+ */
+router.delete('/:projectId', requireProject, async (req, res) => {
+  const jobs = listJobs({ projectId: req.project.id });
+
+  if (jobs.some(job => job.status === 'processing')) {
+    return res.status(409).json({ error: 'Project has a running job' });
+  }
+
+  try {
+    for (const job of jobs) {
+      await removeJobFiles(job.id);
+      deleteJob(job.id);
+    }
+    deleteProject(req.project.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+/**
+ * POST /projects/:projectId/cameras - Add the next camera (C, D, ...) to a project
+ */
+router.post('/:projectId/cameras', requireProject, (req, res) => {
+  const project = addCamera(req.project.id);
+
+  if (!project) {
+    return res.status(400).json({ error: 'Project already has the maximum number of cameras' });
+  }
+
+  res.status(201).json(project);
+});
+
+/**
+ * DELETE /projects/:projectId/cameras/:camera - Remove a camera and its uploads
+ */
+router.delete('/:projectId/cameras/:camera', requireProject, (req, res) => {
+  if (!req.project.cameras.includes(req.params.camera)) {
+    return res.status(404).json({ error: 'Camera not found' });
+  }
+
+  if (req.params.camera === req.project.cameras[0]) {
+    return res.status(400).json({ error: 'The first camera is the one the others are synced to and cannot be removed' });
+  }
+
+  if (listJobs({ projectId: req.project.id }).some(job => job.status === 'processing')) {
+    return res.status(409).json({ error: 'Project has a running job' });
+  }
+
+  const project = removeCamera(req.project.id, req.params.camera);
+  if (!project) {
+    return res.status(400).json({ error: 'A project needs at least two cameras' });
+  }
+
+  res.json(project);
+});
+
+// Project-scoped workspace routes
+router.use('/:projectId/upload', requireProject, uploadRoutes);
+router.use('/:projectId/reset', requireProject, resetRoutes);
+router.use('/:projectId', requireProject, processRoutes);
+
+export default router;
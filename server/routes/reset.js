@@ -1,21 +1,10 @@
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { getUploadDir, getThumbnailDir, updateProject } from '../services/projectStore.js';
 
-const router = express.Router();
-
-// Get the directory name in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Define directories to clear (relative to project root)
-const projectRoot = path.resolve(__dirname, '../..');
-const directories = [
-  path.join(projectRoot, 'uploads/a'),
-  path.join(projectRoot, 'uploads/b'),
-  path.join(projectRoot, 'output')
-];
+// Mounted under /api/projects/:projectId/reset (req.project is set)
+const router = express.Router({ mergeParams: true });
 
 /**
  * Clear all files in a directory but keep the directory itself
@@ -48,13 +37,21 @@ async function clearDirectory(dirPath) {
 }
 
 /**
- * POST /reset
- * Clears all files in uploads/a, uploads/b, and output directories
+ * POST /projects/:projectId/reset
+ * Clears the project's uploads, thumbnails and order.
+ * output/ is left alone: it holds the library of finished jobs
  */
 router.post('/', async (req, res) => {
   try {
+    const { cameras } = req.project;
+    const directories = cameras.flatMap(camera => [
+      getUploadDir(req.project.id, camera),
+      getThumbnailDir(req.project.id, camera)
+    ]);
+
     // Clear all directories
     await Promise.all(directories.map(dir => clearDirectory(dir)));
+    updateProject(req.project.id, { order: Object.fromEntries(cameras.map(camera => [camera, []])) });
 
     res.json({ success: true });
   } catch (error) {
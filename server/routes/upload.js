@@ -2,30 +2,38 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { v4 as uuidv4 } from 'uuid';
-import { fileURLToPath } from 'url';
+import os from 'os';
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
 import { exec } from 'child_process';
-import { getVideoDuration } from '../services/ffmpeg.js';
+import { probeVideo, extractFrame } from '../services/ffmpeg.js';
+import { readWallClock } from '../services/ocr.js';
+import { getUploadDir, getThumbnailDir } from '../services/projectStore.js';
+import {
+  findUploadPath,
+  saveUploadMeta,
+  getUpload,
+  listUploads,
+  removeUpload,
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  completeUploadSession,
+  removeUploadSession,
+  setUploadTrim,
+  sortUploads,
+  SORT_STRATEGIES
+} from '../services/uploadStore.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const router = express.Router();
-
-// Ensure upload directories exist
-const uploadsBase = path.join(__dirname, '../../uploads');
-['a', 'b'].forEach(cam => {
-  const dir = path.join(uploadsBase, cam);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+// Mounted under /api/projects/:projectId/upload (req.project is set)
+const router = express.Router({ mergeParams: true });
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     const camera = req.params.camera;
-    if (!['a', 'b'].includes(camera)) {
-      return cb(new Error('Invalid camera. Use "a" or "b"'));
+    if (!req.project.cameras.includes(camera)) {
+      return cb(new Error(`Invalid camera. Use one of: ${req.project.cameras.join(', ')}`));
     }
-    cb(null, path.join(uploadsBase, camera));
+    cb(null, getUploadDir(req.project.id, camera));
   },
   filename: (req, file, cb) => {
     const id = uuidv4();
@@ -34,12 +42,13 @@ const storage = multer.diskStorage({
   }
 });
 
+const allowedTypes = ['video/mp4', 'video/quicktime', 'video/x-msvideo', 'application/octet-stream'];
+const allowedExts = ['.mp4', '.mov', '.avi'];
+
 const upload = multer({
   storage,
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['video/mp4', 'video/quicktime', 'video/x-msvideo', 'application/octet-stream'];
     const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExts = ['.mp4', '.mov', '.avi'];
 
     if (allowedTypes.includes(file.mimetype) || allowedExts.includes(ext)) {
       cb(null, true);
@@ -49,47 +58,209 @@ const upload = multer({
   }
 });
 
+// Chunks of a resumable upload arrive as raw bytes
+const readChunk = express.raw({ type: () => true, limit: '16mb' });
+
+/**
+ * Parse the file modification time (ms since epoch) the browser reported
+ */
+function parseLastModified(value) {
+  const lastModified = Number(value);
+  return Number.isFinite(lastModified) && lastModified > 0 ? lastModified : null;
+}
+
+/**
+ * Probe a stored upload and record its metadata
+ * @param {Object} file - { filename, lastModified } as reported by the client
+ * @returns {Promise<Object>} The upload as returned by the API
+ */
+async function registerUpload(projectId, camera, id, filePath, { filename, lastModified }) {
+  let probe = null;
+  try {
+    probe = await probeVideo(filePath);
+  } catch (err) {
+    console.warn(`Could not probe ${filename}: ${err.message}`);
+  }
+
+  const duration = probe?.duration;
+
+  // Real recording start/end from the camera's burned-in timestamp
+  const wallClock = await readWallClock(filePath, duration);
+
+  saveUploadMeta(projectId, camera, {
+    id,
+    filename,
+    duration: Number.isFinite(duration) && duration >= 0 ? duration : null,
+    size: fs.statSync(filePath).size,
+    lastModified,
+    probe,
+    wallClock
+  });
+
+  return getUpload(projectId, camera, id);
+}
+
+// Upload and session IDs end up in file paths; only ever accept the UUIDs we hand out
+router.param('id', (req, res, next, id) => {
+  if (!isUuid(id)) {
+    return res.status(400).json({ error: 'Invalid ID' });
+  }
+  next();
+});
+
+function checkCamera(req, res, next) {
+  if (!req.project.cameras.includes(req.params.camera)) {
+    return res.status(400).json({ error: 'Invalid camera' });
+  }
+  next();
+}
+
+// List a camera's uploads (lets the client restore its state after a reload)
+// ?sort=overlay|creation_time|mtime|filename orders them by recording time
+router.get('/:camera', (req, res) => {
+  const { camera } = req.params;
+  const { sort } = req.query;
+
+  if (!req.project.cameras.includes(camera)) {
+    return res.status(400).json({ error: 'Invalid camera' });
+  }
+
+  if (sort !== undefined && !SORT_STRATEGIES.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Use one of: ${SORT_STRATEGIES.join(', ')}` });
+  }
+
+  const uploads = listUploads(req.project.id, camera);
+  res.json(sort ? sortUploads(uploads, sort) : uploads);
+});
+
 // Upload single file to camera
 router.post('/:camera', upload.single('video'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  let duration = null;
+  const id = path.basename(req.file.filename, path.extname(req.file.filename));
   try {
-    const d = await getVideoDuration(req.file.path);
-    if (Number.isFinite(d) && d >= 0) {
-      duration = d;
+    res.json(await registerUpload(req.project.id, req.params.camera, id, req.file.path, {
+      filename: req.file.originalname,
+      lastModified: parseLastModified(req.body.lastModified)
+    }));
+  } catch (error) {
+    console.error('Error registering upload:', error);
+    res.status(500).json({ error: 'Failed to register upload' });
+  }
+});
+
+/**
+ * Resumable uploads: large camera files are sent in chunks so a dropped
+ * connection only costs the chunk in flight.
+ *
+ *   POST   /:camera/sessions                   { filename, size, lastModified } -> { id, offset: 0 }
+ *   GET    /:camera/sessions/:id               -> { id, filename, size, offset }
+ *   PUT    /:camera/sessions/:id?offset=N      raw bytes -> { offset }
+ *   POST   /:camera/sessions/:id/complete      -> the upload, as POST /:camera returns it
+ *   DELETE /:camera/sessions/:id               abandon the upload
+ */
+router.post('/:camera/sessions', checkCamera, (req, res) => {
+  const { filename, size, lastModified } = req.body;
+
+  if (typeof filename !== 'string' || !allowedExts.includes(path.extname(filename).toLowerCase())) {
+    return res.status(400).json({ error: 'Only video files are allowed' });
+  }
+
+  if (!Number.isInteger(size) || size <= 0) {
+    return res.status(400).json({ error: 'File size is required' });
+  }
+
+  res.status(201).json(createUploadSession(req.project.id, req.params.camera, {
+    id: uuidv4(),
+    filename,
+    size,
+    lastModified: parseLastModified(lastModified)
+  }));
+});
+
+router.get('/:camera/sessions/:id', checkCamera, (req, res) => {
+  const session = getUploadSession(req.project.id, req.params.camera, req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  res.json(session);
+});
+
+router.put('/:camera/sessions/:id', checkCamera, readChunk, (req, res) => {
+  const { camera, id } = req.params;
+  const session = getUploadSession(req.project.id, camera, id);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  // The client must continue exactly where the server left off (e.g. after
+  // a retry whose first attempt did arrive); tell it where that is
+  const offset = Number(req.query.offset);
+  if (offset !== session.offset) {
+    return res.status(409).json({ error: 'Offset mismatch', offset: session.offset });
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Empty chunk' });
+  }
+
+  if (session.offset + req.body.length > session.size) {
+    return res.status(400).json({ error: 'Chunk exceeds file size' });
+  }
+
+  res.json({ offset: appendUploadChunk(req.project.id, camera, id, req.body) });
+});
+
+router.post('/:camera/sessions/:id/complete', checkCamera, async (req, res) => {
+  const { camera, id } = req.params;
+  const session = getUploadSession(req.project.id, camera, id);
+
+  if (!session) {
+    // A retried request whose first attempt did complete the upload
+    const completed = getUpload(req.project.id, camera, id);
+    if (completed) {
+      return res.json(completed);
     }
-  } catch (err) {
-    console.warn(`Could not get duration for ${req.file.originalname}: ${err.message}`);
+    return res.status(404).json({ error: 'Upload session not found' });
   }
 
-  res.json({
-    id: path.basename(req.file.filename, path.extname(req.file.filename)),
-    filename: req.file.originalname,
-    camera: req.params.camera,
-    path: req.file.path,
-    duration
-  });
+  if (session.offset !== session.size) {
+    return res.status(409).json({ error: 'Upload is incomplete', offset: session.offset });
+  }
+
+  try {
+    const filePath = completeUploadSession(req.project.id, camera, id);
+    res.json(await registerUpload(req.project.id, camera, id, filePath, session));
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+router.delete('/:camera/sessions/:id', checkCamera, (req, res) => {
+  removeUploadSession(req.project.id, req.params.camera, req.params.id);
+  res.json({ success: true });
 });
 
 // Delete uploaded file
 router.delete('/:camera/:id', (req, res) => {
   const { camera, id } = req.params;
-  const dir = path.join(uploadsBase, camera);
 
-  const files = fs.readdirSync(dir);
-  const file = files.find(f => f.startsWith(id));
+  if (!req.project.cameras.includes(camera)) {
+    return res.status(400).json({ error: 'Invalid camera' });
+  }
 
-  if (!file) {
+  if (!removeUpload(req.project.id, camera, id)) {
     return res.status(404).json({ error: 'File not found' });
   }
 
-  fs.unlinkSync(path.join(dir, file));
-
   // Also delete thumbnail if it exists
-  const thumbPath = path.join(thumbnailsBase, camera, `${id}.jpg`);
+  const thumbPath = path.join(getThumbnailDir(req.project.id, camera), `${id}.jpg`);
   if (fs.existsSync(thumbPath)) {
     fs.unlinkSync(thumbPath);
   }
@@ -97,24 +268,71 @@ router.delete('/:camera/:id', (req, res) => {
   res.json({ success: true });
 });
 
-// Ensure thumbnail directories exist
-const thumbnailsBase = path.join(__dirname, '../../thumbnails');
-['a', 'b'].forEach(cam => {
-  const dir = path.join(thumbnailsBase, cam);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+// Set the part of a clip to use: { start, end } in seconds, end null (or the
+// clip's length) for its end; { start: 0, end: null } uses all of it
+router.put('/:camera/:id/trim', checkCamera, (req, res) => {
+  const { camera, id } = req.params;
+  const upload = getUpload(req.project.id, camera, id);
+
+  if (!upload) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const start = req.body.start == null ? 0 : Number(req.body.start);
+  let end = req.body.end == null ? null : Number(req.body.end);
+
+  if (!Number.isFinite(start) || start < 0 || (end !== null && (!Number.isFinite(end) || end <= start))) {
+    return res.status(400).json({ error: 'Trim needs 0 <= start < end' });
+  }
+
+  if (upload.duration !== null) {
+    if (start >= upload.duration) {
+      return res.status(400).json({ error: `Trim start must be within the clip (${upload.duration.toFixed(1)}s)` });
+    }
+    if (end !== null && end >= upload.duration) {
+      end = null;
+    }
   }
+
+  res.json(setUploadTrim(req.project.id, camera, id, start > 0 || end !== null ? { start, end } : null));
+});
+
+// A frame of an uploaded video at ?t= seconds, for picking trim points
+router.get('/:camera/:id/frame', checkCamera, async (req, res) => {
+  const { camera, id } = req.params;
+  const seconds = Math.max(0, Number(req.query.t) || 0);
+  const videoPath = findUploadPath(req.project.id, camera, id);
+
+  if (!videoPath) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  const framePath = path.join(os.tmpdir(), `koditraining-frame-${uuidv4()}.jpg`);
+  try {
+    await extractFrame(videoPath, framePath, seconds, 'scale=480:-2');
+  } catch (err) {
+    console.error('Frame extraction failed:', err.message);
+    return res.status(500).json({ error: 'Failed to extract frame' });
+  }
+
+  res.sendFile(framePath, (err) => {
+    fs.rm(framePath, { force: true }, () => {});
+    // Past the end of the video there is no frame to send
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: 'No frame at that time' });
+    }
+  });
 });
 
 // Get thumbnail for uploaded video (generates on first request)
 router.get('/:camera/:id/thumbnail', async (req, res) => {
   const { camera, id } = req.params;
 
-  if (!['a', 'b'].includes(camera)) {
+  if (!req.project.cameras.includes(camera)) {
     return res.status(400).json({ error: 'Invalid camera' });
   }
 
-  const thumbDir = path.join(thumbnailsBase, camera);
+  const thumbDir = getThumbnailDir(req.project.id, camera);
   const thumbPath = path.join(thumbDir, `${id}.jpg`);
 
   // Check if thumbnail already exists
@@ -123,16 +341,12 @@ router.get('/:camera/:id/thumbnail', async (req, res) => {
   }
 
   // Find the video file
-  const videoDir = path.join(uploadsBase, camera);
-  const files = fs.readdirSync(videoDir);
-  const videoFile = files.find(f => f.startsWith(id));
+  const videoPath = findUploadPath(req.project.id, camera, id);
 
-  if (!videoFile) {
+  if (!videoPath) {
     return res.status(404).json({ error: 'Video not found' });
   }
 
-  const videoPath = path.join(videoDir, videoFile);
-
   // Generate thumbnail using ffmpeg - crop just the timestamp area (top-left corner)
   // Xiaomi cameras show timestamp in top-left, need ~700x70 pixels to capture full "2025/12/01 20:14:20" with seconds
   const cmd = `ffmpeg -i "${videoPath}" -vframes 1 -q:v 2 -vf "crop=700:70:0:0" "${thumbPath}" -y`;
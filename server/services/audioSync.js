@@ -0,0 +1,117 @@
+import { extractAudioSamples } from './ffmpeg.js';
+
+// Audio is analysed as 8 kHz mono, reduced to a loudness envelope of 100 frames/s
+const SAMPLE_RATE = 8000;
+const FRAME_RATE = 100;
+
+// Only the first minutes are needed to find the offset between two cameras
+const MAX_ANALYSIS_SECONDS = 180;
+const DEFAULT_MAX_OFFSET_SECONDS = 30;
+
+// Peaks closer than this to the best one belong to the same match
+const PEAK_EXCLUSION_SECONDS = 0.5;
+
+/**
+ * Onset envelope: how sharply the loudness rises in each frame. Claps,
+ * clicker sounds and barks show up as spikes on both cameras, while the
+ * overall level (which differs per microphone) drops out.
+ * @param {Int16Array} samples - Mono samples at SAMPLE_RATE
+ * @returns {Float64Array} Zero-mean, unit-variance envelope at FRAME_RATE
+ */
+function onsetEnvelope(samples) {
+  const frameSize = SAMPLE_RATE / FRAME_RATE;
+  const frames = Math.floor(samples.length / frameSize);
+  const envelope = new Float64Array(frames);
+
+  let previous = null;
+  for (let f = 0; f < frames; f++) {
+    let energy = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+      energy += samples[i] * samples[i];
+    }
+    const level = Math.log10(1 + energy / frameSize);
+    envelope[f] = previous === null ? 0 : Math.max(0, level - previous);
+    previous = level;
+  }
+
+  const mean = envelope.reduce((sum, v) => sum + v, 0) / (frames || 1);
+  const variance = envelope.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (frames || 1);
+  const std = Math.sqrt(variance) || 1;
+  for (let f = 0; f < frames; f++) {
+    envelope[f] = (envelope[f] - mean) / std;
+  }
+
+  return envelope;
+}
+
+/**
+ * Correlation of x[i] with y[i - lag] for every lag in [-maxLag, maxLag].
+ * Sums are divided by the shorter envelope's length rather than the overlap,
+ * so lags where only a sliver overlaps can't win by chance
+ */
+function crossCorrelate(x, y, maxLag) {
+  const scores = new Float64Array(2 * maxLag + 1);
+  const norm = Math.min(x.length, y.length);
+
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const start = Math.max(0, lag);
+    const end = Math.min(x.length, y.length + lag);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += x[i] * y[i - lag];
+    }
+    scores[lag + maxLag] = sum / norm;
+  }
+
+  return scores;
+}
+
+/**
+ * Estimate how far camera B's recording lags camera A's by cross-correlating
+ * their audio
+ * @param {string} pathA - Camera A clip
+ * @param {string} pathB - Camera B clip
+ * @param {Object} options
+ * @param {number} options.maxOffset - Largest offset to consider, in seconds (default: 30)
+ * @returns {Promise<Object>} {
+ *   offsetSeconds - how long to delay camera B (negative: delay camera A),
+ *   confidence - 0..1, how clearly the best match beats the next best,
+ *   correlation - strength of the best match
+ * }
+ */
+export async function estimateAudioOffset(pathA, pathB, { maxOffset = DEFAULT_MAX_OFFSET_SECONDS } = {}) {
+  const options = { sampleRate: SAMPLE_RATE, maxDuration: MAX_ANALYSIS_SECONDS };
+  const [samplesA, samplesB] = await Promise.all([
+    extractAudioSamples(pathA, options),
+    extractAudioSamples(pathB, options)
+  ]);
+
+  const envelopeA = onsetEnvelope(samplesA);
+  const envelopeB = onsetEnvelope(samplesB);
+  if (envelopeA.length === 0 || envelopeB.length === 0) {
+    throw new Error('Both clips need an audio track to detect the offset');
+  }
+
+  const maxLag = Math.round(maxOffset * FRAME_RATE);
+  const scores = crossCorrelate(envelopeA, envelopeB, maxLag);
+
+  let best = 0;
+  for (let i = 1; i < scores.length; i++) {
+    if (scores[i] > scores[best]) best = i;
+  }
+
+  const exclusion = Math.round(PEAK_EXCLUSION_SECONDS * FRAME_RATE);
+  let runnerUp = -Infinity;
+  for (let i = 0; i < scores.length; i++) {
+    if (Math.abs(i - best) > exclusion && scores[i] > runnerUp) runnerUp = scores[i];
+  }
+
+  const peak = scores[best];
+  const confidence = peak > 0 ? Math.min(1, Math.max(0, (peak - Math.max(runnerUp, 0)) / peak)) : 0;
+
+  return {
+    offsetSeconds: Math.round(((best - maxLag) / FRAME_RATE) * 100) / 100,
+    confidence: Math.round(confidence * 100) / 100,
+    correlation: Math.round(peak * 1000) / 1000
+  };
+}
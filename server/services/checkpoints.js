@@ -0,0 +1,59 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+
+/**
+ * Describe a file by path, size and modification time.
+ * Any rewrite of the file (e.g. a re-run stage) changes its description.
+ */
+async function describeFile(filePath) {
+  const stat = await fs.stat(filePath);
+  return { path: filePath, size: stat.size, mtimeMs: stat.mtimeMs };
+}
+
+/**
+ * Fingerprint a stage from its input files and the settings that affect its output
+ * @param {string[]} inputPaths - Files the stage reads
+ * @param {Object} params - Settings that change the stage's output
+ * @returns {Promise<string>} Hex digest
+ */
+export async function fingerprintStage(inputPaths, params = {}) {
+  const inputs = await Promise.all(inputPaths.map(describeFile));
+  return createHash('sha256')
+    .update(JSON.stringify({ inputs, params }))
+    .digest('hex');
+}
+
+/**
+ * Build a checkpoint for a stage whose output has just been written
+ * @param {string} fingerprint - Fingerprint of the stage's inputs
+ * @param {string} outputPath - File the stage produced
+ * @returns {Promise<Object>} Checkpoint record
+ */
+export async function createCheckpoint(fingerprint, outputPath) {
+  const output = await describeFile(outputPath);
+  return {
+    fingerprint,
+    output,
+    completedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check whether a checkpoint can be reused: same input fingerprint, and its
+ * output file is still exactly the one the stage wrote
+ * @param {Object} checkpoint - Stored checkpoint (may be undefined)
+ * @param {string} fingerprint - Fingerprint of the stage's current inputs
+ * @returns {Promise<boolean>}
+ */
+export async function isCheckpointValid(checkpoint, fingerprint) {
+  if (!checkpoint || checkpoint.fingerprint !== fingerprint) {
+    return false;
+  }
+
+  try {
+    const current = await describeFile(checkpoint.output.path);
+    return current.size === checkpoint.output.size && current.mtimeMs === checkpoint.output.mtimeMs;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,140 @@
+import { detectStillness } from './ffmpeg.js';
+
+// Still or silent stretches shorter than this are not looked at
+const MIN_DETECT_SECONDS = 2;
+
+// Idle time kept either side of activity, so a cut doesn't clip its start or end
+const MARGIN_SECONDS = 1;
+
+const round = (seconds) => Math.round(seconds * 100) / 100;
+
+/**
+ * Sort intervals and merge the ones that overlap or touch
+ * @param {Object[]} intervals - { start, end }
+ * @returns {Object[]} Disjoint intervals, in order
+ */
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((x, y) => x.start - y.start);
+  const merged = [];
+
+  sorted.forEach(({ start, end }) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      merged.push({ start, end });
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * The parts of [from, to] not covered by the given intervals
+ * @param {Object[]} intervals - Disjoint { start, end }, in order
+ * @returns {Object[]} The gaps between them, in order
+ */
+function invertIntervals(intervals, from, to) {
+  const gaps = [];
+  let position = from;
+
+  intervals.forEach(({ start, end }) => {
+    if (start > position) {
+      gaps.push({ start: position, end: Math.min(start, to) });
+    }
+    position = Math.max(position, end);
+  });
+
+  if (position < to) {
+    gaps.push({ start: position, end: to });
+  }
+  return gaps.filter(({ start, end }) => end > start);
+}
+
+/**
+ * Where a clip has motion or sound, on the output's timeline
+ * @param {Object} track - { path, offset, trim, end } as for findIdleTime
+ * @param {Object} thresholds - { stillNoise, silenceNoise } as for detectStillness
+ * @param {AbortSignal} signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<Object[]>} Intervals of { start, end }
+ */
+async function findActivity({ path, offset = 0, trim = null, end = Infinity }, { stillNoise, silenceNoise }, signal) {
+  const { duration, still, silent } = await detectStillness(path, {
+    trim,
+    minDuration: MIN_DETECT_SECONDS,
+    stillNoise,
+    silenceNoise,
+    signal
+  });
+
+  const moving = invertIntervals(still, 0, duration);
+  // A clip without audio only counts by its picture
+  const audible = silent ? invertIntervals(silent, 0, duration) : [];
+
+  return mergeIntervals([...moving, ...audible])
+    .map(interval => ({ start: interval.start + offset, end: Math.min(interval.end + offset, end) }))
+    .filter(interval => interval.end > interval.start);
+}
+
+/**
+ * Find the stretches of the output where no camera shows motion or makes a
+ * sound. A camera that isn't recording at some point counts as idle there.
+ * @param {Object[]} tracks - Every camera clip that ends up in the output:
+ *   { path, offset, trim, end } - offset: where the clip starts on the output's
+ *   timeline, trim: the part used (as for concatenateWithGaps), end: where the
+ *   output stops showing it (default: the end of the clip)
+ * @param {number} totalDuration - Length of the output
+ * @param {Object} options
+ * @param {number} options.minIdle - Ignore idle stretches shorter than this (default: 10)
+ * @param {number} options.stillNoise - Frame difference in dB below which a camera counts as still (default: as for detectStillness)
+ * @param {number} options.silenceNoise - Level in dB below which a camera counts as silent (default: as for detectStillness)
+ * @param {Function} options.onProgress - Called with (percent) after each clip
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<Object>} { idle, keep, removedSeconds } - idle and keep: intervals
+ *   of { start, end } on the output's timeline
+ */
+export async function findIdleTime(tracks, totalDuration, { minIdle = 10, stillNoise, silenceNoise, onProgress, signal } = {}) {
+  const activity = [];
+
+  // One clip at a time - each one is decoded in full
+  for (const [i, track] of tracks.entries()) {
+    activity.push(...await findActivity(track, { stillNoise, silenceNoise }, signal));
+    onProgress?.(Math.round(((i + 1) / tracks.length) * 100));
+  }
+
+  const idle = invertIntervals(mergeIntervals(activity), 0, totalDuration)
+    .map(({ start, end }) => ({
+      start: round(start > 0 ? start + MARGIN_SECONDS : start),
+      end: round(end < totalDuration ? end - MARGIN_SECONDS : end)
+    }))
+    .filter(({ start, end }) => end - start >= minIdle);
+
+  // Nothing happens at all: better to leave the video alone than cut it away
+  if (idle.length === 1 && idle[0].start === 0 && idle[0].end >= round(totalDuration)) {
+    return { idle: [], keep: [{ start: 0, end: round(totalDuration) }], removedSeconds: 0 };
+  }
+
+  return {
+    idle,
+    keep: invertIntervals(idle, 0, round(totalDuration)),
+    removedSeconds: round(idle.reduce((sum, { start, end }) => sum + end - start, 0))
+  };
+}
+
+/**
+ * Turn the dead time found into the segments of the output, for renderSegments:
+ * 'cut' keeps only the active parts, 'speed' keeps everything with the idle
+ * parts sped up
+ * @param {Object} found - { idle, keep } from findIdleTime
+ * @param {Object} deadTime - { mode, speed }
+ * @returns {Object[]} Segments of { start, end, speed }, in order
+ */
+export function planSegments({ idle, keep }, { mode, speed }) {
+  const active = keep.map(({ start, end }) => ({ start, end, speed: 1 }));
+  if (mode !== 'speed') {
+    return active;
+  }
+
+  return [...active, ...idle.map(({ start, end }) => ({ start, end, speed }))]
+    .sort((x, y) => x.start - y.start);
+}
@@ -1,16 +1,400 @@
 import ffmpeg from 'fluent-ffmpeg';
 import ffprobeStatic from 'ffprobe-static';
 import { promises as fs } from 'fs';
-import { join } from 'path';
-import { tmpdir } from 'os';
+import { dirname, basename, join } from 'path';
 
 // Set ffprobe path for fluent-ffmpeg
 ffmpeg.setFfprobePath(ffprobeStatic.path);
 
 /**
- * Combine two videos side-by-side using hstack filter
- * @param {string} videoA - Path to first video
- * @param {string} videoB - Path to second video
+ * Start an ffmpeg command, killing it if the (optional) AbortSignal fires.
+ * A killed command fails through its normal 'error' handler.
+ * @param {Object} command - fluent-ffmpeg command with handlers attached
+ * @param {AbortSignal} signal - Optional cancellation signal
+ */
+function runCommand(command, signal) {
+  if (signal) {
+    if (signal.aborted) {
+      command.emit('error', new Error('Cancelled'));
+      return;
+    }
+
+    const onAbort = () => command.kill('SIGKILL');
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    const removeListener = () => signal.removeEventListener('abort', onAbort);
+    command.on('end', removeListener);
+    command.on('error', removeListener);
+  }
+
+  command.run();
+}
+
+// Round down to an even number of pixels, as libx264 needs
+const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+/**
+ * Scale a camera into a fixed-size cell, letterboxed to keep its aspect ratio
+ */
+function fitCell(source, width, height, output) {
+  return `${source}scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1${output}`;
+}
+
+/**
+ * Filter graph placing the cameras next to each other: up to three in a row
+ * (scaled to the same height), more in a grid (2x2, 3x2, 3x3) of equally
+ * sized cells, letterboxed to keep each camera's aspect ratio
+ * @param {string[]} sources - Per camera, its input label plus any filters to run first
+ *   (e.g. '[0:v]' or '[1:v]tpad=...,')
+ * @param {number} height - Height of each camera in the output
+ * @param {string} output - Label for the stacked video (e.g. '[v]')
+ * @returns {string[]} Filter graph parts
+ */
+function stackVideos(sources, height, output) {
+  const count = sources.length;
+
+  if (count <= 3) {
+    const parts = sources.map((source, i) => `${source}scale=-2:${height},setsar=1[cam${i}]`);
+    parts.push(`${sources.map((source, i) => `[cam${i}]`).join('')}hstack=inputs=${count}${output}`);
+    return parts;
+  }
+
+  const width = even((height * 16) / 9);
+  const columns = Math.ceil(Math.sqrt(count));
+  const cells = columns * Math.ceil(count / columns);
+  const parts = sources.map((source, i) => fitCell(source, width, height, `[cam${i}]`));
+
+  // Cells left over in the last row show a blacked-out copy of the first
+  // camera, so they last exactly as long as the video
+  const blanks = cells - count;
+  if (blanks > 0) {
+    const copies = Array.from({ length: blanks }, (unused, i) => `[blank${i}]`);
+    parts[0] = parts[0].replace(/\[cam0\]$/, `,split=${blanks + 1}[cam0]${copies.join('')}`);
+    copies.forEach((copy, i) => parts.push(`${copy}drawbox=c=black:t=fill[cam${count + i}]`));
+  }
+
+  const layout = Array.from({ length: cells }, (unused, i) => (
+    `${(i % columns) * width}_${Math.floor(i / columns) * height}`
+  )).join('|');
+  parts.push(`${Array.from({ length: cells }, (unused, i) => `[cam${i}]`).join('')}xstack=inputs=${cells}:layout=${layout}${output}`);
+  return parts;
+}
+
+/**
+ * Filter graph placing the cameras one above the other, each scaled to the
+ * same width (for viewing on a phone held upright)
+ * @param {string[]} sources - As for stackVideos
+ * @param {number} height - Height of a 16:9 camera in the output
+ * @param {string} output - Label for the stacked video
+ * @returns {string[]} Filter graph parts
+ */
+function stackVideosVertically(sources, height, output) {
+  const width = even((height * 16) / 9);
+  const parts = sources.map((source, i) => `${source}scale=${width}:-2,setsar=1[cam${i}]`);
+  parts.push(`${sources.map((source, i) => `[cam${i}]`).join('')}vstack=inputs=${sources.length}${output}`);
+  return parts;
+}
+
+/**
+ * Filter graph showing the first camera full size with the others as small
+ * insets over one of its corners, side by side when there are several
+ * @param {string[]} sources - As for stackVideos
+ * @param {number} height - Height of the output
+ * @param {string} output - Label for the combined video
+ * @param {Object} options
+ * @param {string} options.corner - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+ * @param {number} options.size - Inset width as a fraction of the output width
+ * @returns {string[]} Filter graph parts
+ */
+function pictureInPicture(sources, height, output, { corner = 'bottom-right', size = 0.3 } = {}) {
+  const width = even((height * 16) / 9);
+  const insetWidth = even(width * size);
+  const margin = even(width * 0.02);
+  const [main, ...insets] = sources;
+
+  const parts = [fitCell(main, width, height, '[pip0]')];
+  insets.forEach((source, i) => {
+    const x = corner.endsWith('left')
+      ? margin + i * (insetWidth + margin)
+      : width - (i + 1) * (insetWidth + margin);
+    const y = corner.startsWith('top') ? `${margin}` : `main_h-overlay_h-${margin}`;
+    const result = i === insets.length - 1 ? output : `[pip${i + 1}]`;
+    parts.push(`${source}scale=${insetWidth}:-2,setsar=1[inset${i}]`);
+    parts.push(`[pip${i}][inset${i}]overlay=x=${x}:y=${y}${result}`);
+  });
+  return parts;
+}
+
+/**
+ * Filter graph showing the first camera large with the others in a column of
+ * thumbnails beside it (at least three slots, so a single other camera stays small)
+ * @param {string[]} sources - As for stackVideos
+ * @param {number} height - Height of the output
+ * @param {string} output - Label for the combined video
+ * @returns {string[]} Filter graph parts
+ */
+function focusVideos(sources, height, output) {
+  const width = even((height * 16) / 9);
+  const [main, ...others] = sources;
+  const thumbHeight = even(height / Math.max(3, others.length));
+  const thumbWidth = even((thumbHeight * 16) / 9);
+
+  const parts = [fitCell(main, width, height, '[main]')];
+  others.forEach((source, i) => parts.push(fitCell(source, thumbWidth, thumbHeight, `[thumb${i}]`)));
+
+  const thumbs = others.map((source, i) => `[thumb${i}]`).join('');
+  const column = others.length > 1 ? `${thumbs}vstack=inputs=${others.length},` : thumbs;
+  parts.push(`${column}pad=${thumbWidth}:${height}:0:0[side]`);
+  parts.push(`[main][side]hstack=inputs=2${output}`);
+  return parts;
+}
+
+/**
+ * Filter graph arranging the cameras in the chosen layout
+ * @param {string[]} sources - As for stackVideos
+ * @param {number} height - Height of one camera (side by side, stacked) or of the output
+ * @param {string} output - Label for the combined video
+ * @param {Object} layout - { type: 'hstack' | 'vstack' | 'pip' | 'focus', corner, size }
+ * @returns {string[]} Filter graph parts
+ */
+function arrangeVideos(sources, height, output, layout = {}) {
+  switch (layout.type) {
+    case 'vstack':
+      return stackVideosVertically(sources, height, output);
+    case 'pip':
+      return pictureInPicture(sources, height, output, layout);
+    case 'focus':
+      return focusVideos(sources, height, output);
+    default:
+      return stackVideos(sources, height, output);
+  }
+}
+
+// Where a camera's label goes, as drawtext x:y expressions
+const LABEL_POSITIONS = {
+  'top-left': ['m', 'm'],
+  'top': ['(w-text_w)/2', 'm'],
+  'top-right': ['w-text_w-m', 'm'],
+  'bottom-left': ['m', 'h-text_h-m'],
+  'bottom': ['(w-text_w)/2', 'h-text_h-m'],
+  'bottom-right': ['w-text_w-m', 'h-text_h-m']
+};
+
+// EBU R128 targets for loudnorm: integrated loudness (LUFS), true peak (dBTP) and loudness range (LU)
+const LOUDNESS_TARGET = 'I=-16:TP=-1.5:LRA=11';
+
+/**
+ * Add an encode's inputs to a command, each reading only its kept part, so
+ * every pass over the same inputs sees the same audio and video
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {string[]} inputPaths - Input files
+ * @param {Object[]} trims - Per input, as for trimInputOptions
+ */
+function addTrimmedInputs(command, inputPaths, trims = []) {
+  inputPaths.forEach((inputPath, i) => command.input(inputPath).inputOptions(trimInputOptions(trims[i])));
+}
+
+/**
+ * First loudnorm pass: run the audio through loudnorm without writing
+ * anything, and read the loudness it measured from its log
+ * @param {string[]} inputPaths - Inputs of the encode
+ * @param {Object[]} trims - The encode's trims, as for addTrimmedInputs
+ * @param {string[]} filterParts - Filter graph parts ending in '[measured]'
+ * @param {AbortSignal} signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<Object|null>} loudnorm's measurements, or null for silence
+ */
+function measureLoudness(inputPaths, trims, filterParts, signal) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    addTrimmedInputs(command, inputPaths, trims);
+
+    command
+      .complexFilter(filterParts.join(';'))
+      .outputOptions(['-map', '[measured]', '-f', 'null'])
+      .output('-');
+
+    command.on('end', (stdout, stderr) => {
+      const match = stderr && stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+      if (!match) {
+        reject(new Error('Failed to measure loudness: no measurement in the ffmpeg output'));
+        return;
+      }
+      const measured = JSON.parse(match[0]);
+      resolve(Number.isFinite(parseFloat(measured.input_i)) ? measured : null);
+    });
+    command.on('error', (err) => reject(new Error(`Failed to measure loudness: ${err.message}`)));
+
+    runCommand(command, signal);
+  });
+}
+
+/**
+ * The optional audio clean-up for a final encode: afftdn against steady
+ * noise (fan hiss), then loudnorm with the loudness measured in a first pass
+ * over the same audio, so quiet and loud recordings end up alike
+ * @param {string[]} inputPaths - Inputs of the encode
+ * @param {Object[]} trims - The encode's trims, as for addTrimmedInputs
+ * @param {string[]} filterParts - Filter graph parts producing `label` from the inputs
+ * @param {string} label - The audio to clean up (e.g. '[0:a]')
+ * @param {Object} config - { denoise, normalizeLoudness }
+ * @param {AbortSignal} signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<string[]>} Filters to run after `label`, none when both are off
+ */
+async function getAudioFilters(inputPaths, trims, filterParts, label, { denoise = false, normalizeLoudness = false } = {}, signal) {
+  const filters = denoise ? ['afftdn'] : [];
+
+  if (normalizeLoudness) {
+    const measureChain = [...filters, `loudnorm=${LOUDNESS_TARGET}:print_format=json`].join(',');
+    const measured = await measureLoudness(inputPaths, trims, [...filterParts, `${label}${measureChain}[measured]`], signal);
+    // Silence can't be normalized
+    if (measured) {
+      filters.push(
+        `loudnorm=${LOUDNESS_TARGET}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+        `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+        `:offset=${measured.target_offset}:linear=true`,
+        // loudnorm works (and outputs) at 192 kHz
+        'aresample=48000'
+      );
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Write each camera's label to a file next to the output. drawtext reads it
+ * with textfile, which takes any text as it is (text= would need escaping)
+ * @param {string[]} labels - Per camera, its label (empty for none)
+ * @param {string} outputPath - The video the labels are for
+ * @returns {Promise<string[]>} Per camera the label file, or null
+ */
+async function writeLabelFiles(labels, outputPath) {
+  return Promise.all(labels.map(async (label, i) => {
+    if (!label) return null;
+    const labelPath = `${outputPath}.label${i}.txt`;
+    await fs.writeFile(labelPath, label);
+    return labelPath;
+  }));
+}
+
+/**
+ * Escape a value for a filter option and then for the filter graph around
+ * it, so paths with quotes, colons, commas or backslashes pass through intact
+ * @param {string} value - Raw option value
+ * @returns {string} The value, ready to put after `option=`
+ */
+function escapeFilterValue(value) {
+  const optionLevel = value.replace(/[\\':]/g, '\\$&');
+  return optionLevel.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Filters shrinking a camera within its frame and drawing its label, to run
+ * before the layout
+ * @param {number} scale - Size of the picture within the frame (0.1-1, 1 fills it)
+ * @param {string} labelPath - File with the camera's label, or null
+ * @param {Object} style - Label style
+ * @param {string} style.position - A key of LABEL_POSITIONS
+ * @param {number} style.size - Font size as a fraction of the frame height
+ * @param {boolean} style.box - Draw a dark box behind the label
+ * @returns {string} Filters ending in ',', or '' when there is nothing to do
+ */
+function decorateCamera(scale, labelPath, { position = 'top-left', size = 0.06, box = true } = {}) {
+  const filters = [];
+
+  if (scale < 1) {
+    filters.push(
+      `scale=trunc(iw*${scale}/2)*2:trunc(ih*${scale}/2)*2`,
+      `pad=trunc(iw/${scale}/2)*2:trunc(ih/${scale}/2)*2:(ow-iw)/2:(oh-ih)/2`
+    );
+  }
+
+  if (labelPath) {
+    // drawtext has no variable for the margin, so it is spelled out in the expressions
+    const [x, y] = (LABEL_POSITIONS[position] || LABEL_POSITIONS['top-left'])
+      .map(expression => expression.replace(/\bm\b/g, '(h*0.03)'));
+    const background = box
+      ? 'box=1:boxcolor=black@0.5:boxborderw=10'
+      : 'shadowcolor=black:shadowx=2:shadowy=2';
+    filters.push(
+      `drawtext=textfile=${escapeFilterValue(labelPath)}:expansion=none:fontcolor=white:fontsize=h*${size}:${background}:x=${x}:y=${y}`
+    );
+  }
+
+  return filters.map(filter => `${filter},`).join('');
+}
+
+/**
+ * Filter graph for the output audio:
+ * - 'stereo': with two cameras, the first on the left channel and the second
+ *   on the right (each downmixed to mono); more cameras are mixed as for 'mix'
+ * - 'mix': all cameras downmixed into one channel, each with its gain
+ * - 'camera': only the camera at index `camera`, as it is
+ * - 'silent': silence
+ * Cameras without audio are left out; with nothing left the output is silent.
+ * A delayed camera is silent until the others catch up. The delay goes on
+ * the camera's own chain, so a camera the mode leaves out adds no filters.
+ * @param {Array<string|null>} labels - Per camera, its audio label (e.g. '[0:a]'), or null if it has no audio
+ * @param {number[]} delays - Seconds to delay each camera's audio (default none)
+ * @param {Object} audio - { mode, camera, gains } - gains: per camera, in dB
+ * @param {number} duration - Length of the output in seconds, for the silence
+ * @param {string} output - Label for the combined audio (e.g. '[a]')
+ * @returns {string[]} Filter graph parts
+ */
+function mixAudio(labels, delays = [], { mode = 'stereo', camera = 0, gains = [] } = {}, duration, output) {
+  const sources = labels.map((label, i) => {
+    if (!label || !(delays[i] > 0)) {
+      return label;
+    }
+    const delayMs = Math.round(delays[i] * 1000);
+    return `${label}adelay=${delayMs}|${delayMs},`;
+  });
+  const silence = [`anullsrc=r=48000:cl=stereo,atrim=duration=${duration}${output}`];
+
+  if (mode === 'silent') {
+    return silence;
+  }
+
+  if (mode === 'camera') {
+    return sources[camera] ? [`${sources[camera]}anull${output}`] : silence;
+  }
+
+  if (mode === 'stereo' && sources.length === 2) {
+    const [left, right] = sources;
+    if (left && right) {
+      return [
+        `${left}aformat=channel_layouts=mono[left]`,
+        `${right}aformat=channel_layouts=mono[right]`,
+        `[left][right]amerge=inputs=2${output}`
+      ];
+    }
+    // A camera without audio leaves its channel silent
+    if (left || right) {
+      return [`${left || right}aformat=channel_layouts=mono,pan=stereo|${left ? 'c0' : 'c1'}=c0${output}`];
+    }
+    return silence;
+  }
+
+  const present = sources
+    .map((source, i) => ({ source, gain: gains[i] || 0 }))
+    .filter(({ source }) => source);
+  if (present.length === 0) {
+    return silence;
+  }
+
+  const parts = present.map(({ source, gain }, i) => (
+    `${source}aformat=channel_layouts=mono${gain ? `,volume=${gain}dB` : ''}[mix${i}]`
+  ));
+  parts.push(present.length === 1
+    ? `[mix0]anull${output}`
+    : `${present.map((item, i) => `[mix${i}]`).join('')}amix=inputs=${present.length}:duration=longest${output}`);
+  return parts;
+}
+
+/**
+ * Combine several cameras' videos into one, side by side, in a grid or in another layout
+ * @param {string[]} inputPaths - Path to each camera's video, in camera order
  * @param {string} outputPath - Path for output video
  * @param {Function} onProgress - Progress callback (percent: 0-100)
  * @param {Object} config - Optional compression config (for final output)
@@ -18,35 +402,62 @@ ffmpeg.setFfprobePath(ffprobeStatic.path);
  * @param {string} config.preset - Encoding preset (default: 'veryfast')
  * @param {number} config.maxWidth - Maximum width for scaling (optional)
  * @param {string} config.audioBitrate - Audio bitrate (default: '192k')
+ * @param {boolean} config.denoise - Reduce steady background noise (default: false)
+ * @param {boolean} config.normalizeLoudness - Two-pass EBU R128 loudness normalization (default: false)
+ * @param {Object} options - Run options
+ * @param {number[]} options.delays - Seconds to delay each camera (default none)
+ * @param {Object} options.layout - { type, corner, size } (default side by side)
+ * @param {string[]} options.labels - Label drawn on each camera (default none)
+ * @param {number[]} options.scales - Size of each camera within its frame (default 1)
+ * @param {Object} options.labelStyle - { position, size, box }, see decorateCamera
+ * @param {Object} options.audio - { mode, camera, gains }, see mixAudio (default stereo)
+ * @param {Object[]} options.trims - Per input, the part to use (see trimInputOptions)
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
  * @returns {Promise<void>}
  */
-export function combinePair(videoA, videoB, outputPath, onProgress, config = {}) {
+export async function combineVideos(inputPaths, outputPath, onProgress, config = {}, options = {}) {
   const {
     crf = 18,
     preset = 'veryfast',
     maxWidth = null,
     audioBitrate = '192k'
   } = config;
+  const { delays = [], layout, labels = [], scales = [], labelStyle, audio, trims = [] } = options;
+  const probes = await Promise.all(inputPaths.map(inputPath => probeVideo(inputPath)));
+  const duration = Math.max(...probes.map((probe, i) => (
+    trimmedDuration(probe.duration || 0, trims[i]) + Math.max(0, delays[i] || 0)
+  )));
+
+  const audioSources = inputPaths.map((inputPath, i) => (probes[i].audio ? `[${i}:a]` : null));
+  const audioParts = mixAudio(audioSources, delays, audio, duration, '[mixed]');
+  const audioFilters = audio?.mode === 'silent'
+    ? []
+    : await getAudioFilters(inputPaths, trims, audioParts, '[mixed]', config, options.signal);
+  audioParts.push(`[mixed]${audioFilters.length > 0 ? audioFilters.join(',') : 'anull'}[a]`);
+
+  const labelPaths = await writeLabelFiles(inputPaths.map((inputPath, i) => labels[i]), outputPath);
+
+  const removeLabelFiles = () => Promise.all(
+    labelPaths.filter(Boolean).map(labelPath => fs.rm(labelPath, { force: true }))
+  );
 
   return new Promise((resolve, reject) => {
     const command = ffmpeg();
 
     // Add input videos
-    command.input(videoA);
-    command.input(videoB);
+    addTrimmedInputs(command, inputPaths, trims);
 
-    // Apply complex filter for side-by-side layout with audio merge
+    // A delayed camera holds its first frame until the others catch up
+    const filterParts = [...audioParts];
+    const videoSources = inputPaths.map((inputPath, i) => (
+      (delays[i] > 0 ? `[${i}:v]tpad=start_mode=clone:start_duration=${delays[i]},` : `[${i}:v]`) +
+      decorateCamera(scales[i] ?? 1, labelPaths[i], labelStyle)
+    ));
+    // Apply complex filter for the layout with audio merge
     // VFR normalization (-vsync cfr) happens at output, not in filter chain
-    const filterParts = [
-      '[0:v]scale=-2:720,setsar=1[left]',
-      '[1:v]scale=-2:720,setsar=1[right]',
-      '[left][right]hstack=inputs=2[v]',
-      '[0:a][1:a]amerge=inputs=2[a]'
-    ];
-
     // Add final scaling if maxWidth specified
+    filterParts.push(...arrangeVideos(videoSources, 720, maxWidth ? '[vstacked]' : '[v]', layout));
     if (maxWidth) {
-      filterParts[2] = '[left][right]hstack=inputs=2[vstacked]';
       filterParts.push(`[vstacked]scale=${maxWidth}:-2[v]`);
     }
 
@@ -56,7 +467,7 @@ export function combinePair(videoA, videoB, outputPath, onProgress, config = {})
       .outputOptions([
         '-map', '[v]',
         '-map', '[a]',
-        '-vsync', 'cfr',  // Normalize VFR from both cameras to constant frame rate
+        '-vsync', 'cfr',  // Normalize VFR from all cameras to constant frame rate
         '-c:v', 'libx264',
         '-preset', preset,
         '-crf', `${crf}`,
@@ -84,8 +495,83 @@ export function combinePair(videoA, videoB, outputPath, onProgress, config = {})
     });
 
     // Start processing
-    command.run();
+    runCommand(command, options.signal);
+  }).finally(removeLabelFiles);
+}
+
+/**
+ * Render a short, small clip of all cameras' concatenated streams in the
+ * output layout, to check the sync offsets before a long encode.
+ * The audio is combined as in combineVideos.
+ * @param {string[][]} cameraPaths - Each camera's clips, in order
+ * @param {string} outputPath - Path for the preview (.mp4)
+ * @param {Object} options
+ * @param {number} options.start - Position in the combined video, in seconds
+ * @param {number} options.duration - Length of the preview, in seconds
+ * @param {number[]} options.delays - Seconds to delay each camera
+ * @param {Object} options.layout - As for combineVideos
+ * @param {string[]} options.labels - As for combineVideos
+ * @param {number[]} options.scales - As for combineVideos
+ * @param {Object} options.labelStyle - As for combineVideos
+ * @param {Object} options.audio - As for combineVideos
+ * @param {Object[][]} options.trims - Per camera, the part of each clip to use (see trimInputOptions)
+ * @returns {Promise<void>}
+ */
+export async function renderPreview(cameraPaths, outputPath, options = {}) {
+  const { start = 0, duration = 5, delays = [], layout, labels = [], scales = [], labelStyle, audio, trims = [] } = options;
+  const lists = cameraPaths.map((paths, i) => `${outputPath}.${i}.txt`);
+  await Promise.all(cameraPaths.map((paths, i) => writeConcatList(paths, lists[i], trims[i])));
+  // The concat demuxer takes its streams from the first clip
+  const probes = await Promise.all(cameraPaths.map(paths => probeVideo(paths[0])));
+  const labelPaths = await writeLabelFiles(cameraPaths.map((paths, i) => labels[i]), outputPath);
+
+  // In the combined video, time t shows a camera at t - delay. When that is
+  // before the camera's start, hold its first frame (and stay silent) instead
+  const sides = lists.map((list, i) => {
+    const seek = start - (delays[i] || 0);
+    return { list, seek: Math.max(0, seek), hold: Math.max(0, -seek) };
   });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg();
+
+      sides.forEach(side => {
+        command.input(side.list).inputOptions(['-f', 'concat', '-safe', '0', '-ss', `${side.seek}`]);
+      });
+
+      const audioSources = sides.map((side, i) => (probes[i].audio ? `[${i}:a]` : null));
+      const videoSources = sides.map((side, i) => (
+        (side.hold > 0 ? `[${i}:v]tpad=start_mode=clone:start_duration=${side.hold},` : `[${i}:v]`) +
+        decorateCamera(scales[i] ?? 1, labelPaths[i], labelStyle)
+      ));
+      const filterParts = [
+        ...arrangeVideos(videoSources, 240, '[v]', layout),
+        ...mixAudio(audioSources, sides.map(side => side.hold), audio, duration, '[a]')
+      ];
+
+      command
+        .complexFilter(filterParts.join(';'))
+        .outputOptions([
+          '-map', '[v]',
+          '-map', '[a]',
+          '-t', `${duration}`,
+          '-c:v', 'libx264',
+          '-preset', 'ultrafast',
+          '-crf', '30',
+          '-c:a', 'aac',
+          '-movflags', '+faststart'
+        ])
+        .output(outputPath);
+
+      command.on('end', () => resolve());
+      command.on('error', (err) => reject(new Error(`Failed to render preview: ${err.message}`)));
+
+      command.run();
+    });
+  } finally {
+    await Promise.all([...lists, ...labelPaths.filter(Boolean)].map(path => fs.rm(path, { force: true })));
+  }
 }
 
 /**
@@ -101,6 +587,51 @@ function parseTimemark(timemark) {
   return hours * 3600 + minutes * 60 + seconds;
 }
 
+/**
+ * Input options reading only the kept part of a clip
+ * @param {Object} trim - { start, end } in seconds (end null for the clip's end), or undefined
+ * @returns {string[]} Options for before the input
+ */
+function trimInputOptions(trim) {
+  const options = [];
+  if (trim?.start > 0) {
+    options.push('-ss', `${trim.start}`);
+  }
+  if (Number.isFinite(trim?.end)) {
+    options.push('-t', `${trim.end - (trim.start || 0)}`);
+  }
+  return options;
+}
+
+/**
+ * Length of the kept part of a clip
+ * @param {number} duration - The whole clip's length in seconds
+ * @param {Object} trim - As for trimInputOptions
+ * @returns {number}
+ */
+function trimmedDuration(duration, trim) {
+  const end = Number.isFinite(trim?.end) ? Math.min(trim.end, duration) : duration;
+  return Math.max(0, end - (trim?.start || 0));
+}
+
+/**
+ * Write a file list for the concat demuxer
+ * @param {string[]} inputPaths - Videos, in order
+ * @param {string} listPath - Where to write the list
+ * @param {Object[]} trims - Per video, the part to keep (see trimInputOptions)
+ * @returns {Promise<void>}
+ */
+function writeConcatList(inputPaths, listPath, trims = []) {
+  const fileListContent = inputPaths
+    .flatMap((path, i) => [
+      `file '${path.replace(/'/g, "'\\''")}'`,
+      ...(trims[i]?.start > 0 ? [`inpoint ${trims[i].start}`] : []),
+      ...(Number.isFinite(trims[i]?.end) ? [`outpoint ${trims[i].end}`] : [])
+    ])
+    .join('\n');
+  return fs.writeFile(listPath, fileListContent, 'utf8');
+}
+
 /**
  * Concatenate multiple videos using concat demuxer
  * @param {string[]} inputPaths - Array of video paths to concatenate
@@ -108,10 +639,11 @@ function parseTimemark(timemark) {
  * @param {Function} onProgress - Progress callback (percent: 0-100)
  * @param {Object} options - Concatenation options
  * @param {boolean} options.reencode - Re-encode videos (needed for VFR cameras), default false
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
  * @returns {Promise<void>}
  */
 export async function concatenateVideos(inputPaths, outputPath, onProgress, options = {}) {
-  const { reencode = false } = options;
+  const { reencode = false, signal } = options;
 
   if (!inputPaths || inputPaths.length === 0) {
     throw new Error('No input videos provided for concatenation');
@@ -131,15 +663,13 @@ export async function concatenateVideos(inputPaths, outputPath, onProgress, opti
     }
   }
 
-  // Create temporary file list for concat demuxer
-  const tempListPath = join(tmpdir(), `ffmpeg-concat-${Date.now()}.txt`);
-  const fileListContent = inputPaths
-    .map(path => `file '${path.replace(/'/g, "'\\''")}'`)
-    .join('\n');
+  // Create temporary file list for concat demuxer next to the output,
+  // so concurrent jobs (each with their own directory) never share it
+  const tempListPath = join(dirname(outputPath), `${basename(outputPath)}.concat.txt`);
 
   try {
     // Write the file list
-    await fs.writeFile(tempListPath, fileListContent, 'utf8');
+    await writeConcatList(inputPaths, tempListPath);
 
     // Concatenate videos
     return new Promise((resolve, reject) => {
@@ -212,7 +742,7 @@ export async function concatenateVideos(inputPaths, outputPath, onProgress, opti
       });
 
       // Start processing
-      command.run();
+      runCommand(command, signal);
     });
   } catch (err) {
     // Clean up temp file if it was created
@@ -225,6 +755,80 @@ export async function concatenateVideos(inputPaths, outputPath, onProgress, opti
   }
 }
 
+/**
+ * Concatenate one camera's videos on its recording clock, filling the gap
+ * after each video (when the camera was off) so later videos stay in sync
+ * @param {string[]} inputPaths - Array of video paths to concatenate
+ * @param {string} outputPath - Path for output video
+ * @param {Function} onProgress - Progress callback (percent: 0-100)
+ * @param {Object} options - Concatenation options
+ * @param {number[]} options.gaps - Seconds of gap after each video (0 for none)
+ * @param {string} options.fill - 'black' for black frames, 'freeze' to hold the last frame
+ * @param {Object[]} options.trims - Per video, the part to keep (see trimInputOptions)
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<void>}
+ */
+export async function concatenateWithGaps(inputPaths, outputPath, onProgress, options = {}) {
+  const { gaps = [], fill = 'black', trims = [], signal } = options;
+
+  if (!inputPaths || inputPaths.length === 0) {
+    throw new Error('No input videos provided for concatenation');
+  }
+
+  // Each video's audio is cut to its video length plus the gap, so audio and
+  // video can't drift apart from one video to the next
+  const probes = await Promise.all(inputPaths.map(inputPath => probeVideo(inputPath)));
+  const durations = await Promise.all(inputPaths.map(async (inputPath, i) => (
+    trimmedDuration(await getVideoDuration(inputPath), trims[i])
+  )));
+  const totalDuration = durations.reduce((sum, duration, i) => sum + duration + (gaps[i] || 0), 0);
+  // Videos without audio get silence, unless none of them has any
+  const withAudio = probes.some(probe => probe.audio);
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    addTrimmedInputs(command, inputPaths, trims);
+
+    const filterParts = inputPaths.flatMap((inputPath, i) => {
+      const gap = gaps[i] || 0;
+      const pad = gap > 0 ? `,tpad=stop_mode=${fill === 'freeze' ? 'clone' : 'add'}:stop_duration=${gap}` : '';
+      const audio = probes[i].audio ? `[${i}:a]apad` : 'anullsrc=r=48000:cl=mono';
+      return [
+        `[${i}:v]setsar=1${pad}[v${i}]`,
+        ...(withAudio ? [`${audio},atrim=duration=${durations[i] + gap},asetpts=N/SR/TB[a${i}]`] : [])
+      ];
+    });
+    const segments = inputPaths.map((inputPath, i) => (withAudio ? `[v${i}][a${i}]` : `[v${i}]`)).join('');
+    filterParts.push(`${segments}concat=n=${inputPaths.length}:v=1:a=${withAudio ? 1 : 0}[v]${withAudio ? '[a]' : ''}`);
+
+    command
+      .complexFilter(filterParts.join(';'))
+      .outputOptions([
+        '-map', '[v]',
+        ...(withAudio ? ['-map', '[a]'] : []),
+        '-vsync', 'cfr',
+        '-preset', 'veryfast',
+        '-crf', '18'
+      ])
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .audioBitrate('192k')
+      .output(outputPath);
+
+    command.on('progress', (progress) => {
+      if (onProgress && progress.timemark) {
+        const currentTime = parseTimemark(progress.timemark);
+        onProgress(Math.min(99, Math.round((currentTime / totalDuration) * 100)));
+      }
+    });
+
+    command.on('end', () => resolve());
+    command.on('error', (err) => reject(new Error(`Failed to concatenate videos: ${err.message}`)));
+
+    runCommand(command, signal);
+  });
+}
+
 /**
  * Apply final compression to a video
  * @param {string} inputPath - Path to input video
@@ -234,10 +838,14 @@ export async function concatenateVideos(inputPaths, outputPath, onProgress, opti
  * @param {string} config.preset - Encoding preset (default: 'slow')
  * @param {number} config.maxWidth - Maximum width for scaling (optional)
  * @param {string} config.audioBitrate - Audio bitrate (default: '96k')
+ * @param {boolean} config.denoise - As for combineVideos
+ * @param {boolean} config.normalizeLoudness - As for combineVideos
  * @param {Function} onProgress - Progress callback (percent: 0-100)
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
  * @returns {Promise<void>}
  */
-export function compressVideo(inputPath, outputPath, config = {}, onProgress) {
+export async function compressVideo(inputPath, outputPath, config = {}, onProgress, options = {}) {
   // Apply defaults
   const {
     crf = 28,
@@ -246,6 +854,9 @@ export function compressVideo(inputPath, outputPath, config = {}, onProgress) {
     audioBitrate = '96k'
   } = config;
 
+  const { audio } = await probeVideo(inputPath);
+  const audioFilters = audio ? await getAudioFilters([inputPath], [], [], '[0:a]', config, options.signal) : [];
+
   return new Promise((resolve, reject) => {
     const command = ffmpeg();
 
@@ -264,6 +875,11 @@ export function compressVideo(inputPath, outputPath, config = {}, onProgress) {
       command.videoFilter(`scale=${maxWidth}:-2`);
     }
 
+    // Optional denoise and loudness normalization
+    if (audioFilters.length > 0) {
+      command.audioFilters(audioFilters);
+    }
+
     // Audio codec settings
     command
       .audioCodec('aac')
@@ -289,7 +905,7 @@ export function compressVideo(inputPath, outputPath, config = {}, onProgress) {
     });
 
     // Start processing
-    command.run();
+    runCommand(command, options.signal);
   });
 }
 
@@ -318,31 +934,175 @@ export function getVideoDuration(videoPath) {
 }
 
 /**
- * Pad a video with cloned frames and silent audio
+ * Parse an ffprobe rate like "30000/1001" into a number
+ */
+function parseRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!Number.isFinite(num) || !Number.isFinite(den) || den === 0 || num === 0) {
+    return null;
+  }
+  return num / den;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Read everything about a clip that matters for combining it with others
+ * @param {string} videoPath - Path to the video file
+ * @returns {Promise<Object>} {
+ *   duration, bitrate, creationTime,
+ *   video: { codec, width, height, fps, vfr, rotation } | null,
+ *   audio: { codec, channels, sampleRate } | null
+ * }
+ */
+export function probeVideo(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Failed to probe video: ${err.message}`));
+        return;
+      }
+
+      const { format = {}, streams = [] } = metadata;
+      const videoStream = streams.find(stream => stream.codec_type === 'video');
+      const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+      let video = null;
+      if (videoStream) {
+        const realFps = parseRate(videoStream.r_frame_rate);
+        const avgFps = parseRate(videoStream.avg_frame_rate);
+        // Rotation is a tag in older files and display-matrix side data in newer ones
+        const rotation = toNumber(videoStream.tags?.rotate)
+          ?? toNumber(videoStream.side_data_list?.find(data => data.rotation !== undefined)?.rotation)
+          ?? 0;
+
+        video = {
+          codec: videoStream.codec_name || null,
+          width: toNumber(videoStream.width),
+          height: toNumber(videoStream.height),
+          fps: avgFps ?? realFps,
+          // Variable frame rate clips report a base rate that differs from the average
+          vfr: realFps !== null && avgFps !== null && Math.abs(realFps - avgFps) > 0.01,
+          rotation
+        };
+      }
+
+      const audio = audioStream ? {
+        codec: audioStream.codec_name || null,
+        channels: toNumber(audioStream.channels),
+        sampleRate: toNumber(audioStream.sample_rate)
+      } : null;
+
+      resolve({
+        duration: toNumber(format.duration),
+        bitrate: toNumber(format.bit_rate),
+        creationTime: format.tags?.creation_time || videoStream?.tags?.creation_time || null,
+        video,
+        audio
+      });
+    });
+  });
+}
+
+/**
+ * Decode a clip's audio as low-rate mono 16-bit samples (for analysis)
+ * @param {string} inputPath - Path to the video
+ * @param {Object} options
+ * @param {number} options.sampleRate - Samples per second (default: 8000)
+ * @param {number} options.maxDuration - Only read this many seconds (default: 300)
+ * @returns {Promise<Int16Array>} Samples
+ */
+export function extractAudioSamples(inputPath, { sampleRate = 8000, maxDuration = 300 } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const command = ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .duration(maxDuration)
+      .format('s16le');
+
+    command.on('error', (err) => reject(new Error(`Failed to extract audio: ${err.message}`)));
+    command.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      const length = Math.floor(buffer.length / 2);
+      // Copy into a fresh, aligned ArrayBuffer for the typed array view
+      resolve(new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + length * 2)));
+    });
+
+    command.pipe().on('data', (chunk) => chunks.push(chunk));
+  });
+}
+
+/**
+ * Save a single frame as an image
+ * @param {string} inputPath - Path to the video
+ * @param {string} outputPath - Path for the image (format from extension)
+ * @param {number} seconds - Position of the frame
+ * @param {string} videoFilter - Optional filter chain applied to the frame
+ * @returns {Promise<void>}
+ */
+export function extractFrame(inputPath, outputPath, seconds, videoFilter) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .seekInput(seconds)
+      .outputOptions(['-frames:v', '1', ...(videoFilter ? ['-vf', videoFilter] : [])])
+      .output(outputPath);
+
+    command.on('end', () => resolve());
+    command.on('error', (err) => reject(new Error(`Failed to extract frame: ${err.message}`)));
+
+    command.run();
+  });
+}
+
+/**
+ * Pad a video with cloned frames (or a black screen) and silent audio
  * @param {string} inputPath - Path to input video
  * @param {string} outputPath - Path for output video
- * @param {number} paddingDuration - Seconds of padding to add at the end
+ * @param {number} paddingDuration - Seconds of padding to add
  * @param {Function} onProgress - Progress callback (percent: 0-100)
+ * @param {Object} options - Run options
+ * @param {string} options.position - Pad at the 'end' (default) or the 'start'
+ * @param {string} options.fill - 'freeze' (default) clones the first/last frame, 'black' adds
+ *   black frames, 'card' black frames reading "Camera offline"
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
  * @returns {Promise<void>}
  */
-export function padVideo(inputPath, outputPath, paddingDuration, onProgress) {
+export async function padVideo(inputPath, outputPath, paddingDuration, onProgress, options = {}) {
+  const { position = 'end', fill = 'freeze' } = options;
+
+  let videoFilter = position === 'start'
+    ? `tpad=start_mode=${fill === 'freeze' ? 'clone' : 'add'}:start_duration=${paddingDuration}`
+    : `tpad=stop_mode=${fill === 'freeze' ? 'clone' : 'add'}:stop_duration=${paddingDuration}`;
+  // The card is drawn only over the padding, so find where that is
+  if (fill === 'card') {
+    const enable = position === 'start'
+      ? `lt(t,${paddingDuration})`
+      : `gte(t,${await getVideoDuration(inputPath)})`;
+    videoFilter += `,drawtext=text='Camera offline':fontcolor=white:fontsize=h/12:x=(w-text_w)/2:y=(h-text_h)/2:enable='${enable}'`;
+  }
+  const { audio } = await probeVideo(inputPath);
+
   return new Promise((resolve, reject) => {
     const command = ffmpeg();
 
     command.input(inputPath);
 
-    // Use tpad filter to clone last frame at the end
-    // apad pads audio with silence
-    // Note: tpad stop_duration adds that many seconds AFTER the video ends
+    // tpad clones the first/last frame or adds black ones
+    // At the end apad pads audio with silence; at the start adelay shifts it
+    // Note: tpad start/stop_duration adds that many seconds before/after the video
+    // A video without audio stays without; combining handles that
+    const delayMs = Math.round(paddingDuration * 1000);
+    const audioFilter = position === 'start'
+      ? `[0:a]adelay=${delayMs}|${delayMs}[a]`
+      : `[0:a]apad=pad_dur=${paddingDuration}[a]`;
     command
-      .complexFilter([
-        `[0:v]tpad=stop_mode=clone:stop_duration=${paddingDuration}[v]`,
-        `[0:a]apad=pad_dur=${paddingDuration}[a]`
-      ])
-      .outputOptions([
-        '-map', '[v]',
-        '-map', '[a]'
-      ])
+      .complexFilter([`[0:v]${videoFilter}[v]`, ...(audio ? [audioFilter] : [])])
+      .outputOptions(['-map', '[v]', ...(audio ? ['-map', '[a]'] : [])])
       .output(outputPath);
 
     // Handle progress updates
@@ -363,6 +1123,201 @@ export function padVideo(inputPath, outputPath, paddingDuration, onProgress) {
     });
 
     // Start processing
-    command.run();
+    runCommand(command, options.signal);
+  });
+}
+
+/**
+ * Cut a video short (stream copy)
+ * @param {string} inputPath - Path to input video
+ * @param {string} outputPath - Path for output video
+ * @param {number} duration - Seconds to keep from the start
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<void>}
+ */
+export function trimVideo(inputPath, outputPath, duration, options = {}) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .outputOptions(['-t', `${duration}`, '-c', 'copy'])
+      .output(outputPath);
+
+    command.on('end', () => resolve());
+    command.on('error', (err) => reject(new Error(`Failed to trim video: ${err.message}`)));
+
+    runCommand(command, options.signal);
+  });
+}
+
+// Mean frame difference (dB) below which a video counts as still; sensor noise
+// and a ticking burned-in clock stay under it, a dog walking past doesn't
+const DEFAULT_STILL_NOISE = -50;
+// Audio quieter than this (dB) counts as silence
+const DEFAULT_SILENCE_NOISE = -40;
+
+/**
+ * Collect [start, end] pairs from detector log lines, closing one still open
+ * at the end of the video
+ */
+function collectIntervals(lines, startPattern, endPattern, duration) {
+  const intervals = [];
+  let start = null;
+
+  lines.forEach(line => {
+    const startMatch = line.match(startPattern);
+    const endMatch = line.match(endPattern);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+    } else if (endMatch && start !== null) {
+      intervals.push({ start, end: Math.min(duration, parseFloat(endMatch[1])) });
+      start = null;
+    }
+  });
+
+  if (start !== null && start < duration) {
+    intervals.push({ start, end: duration });
+  }
+  return intervals;
+}
+
+/**
+ * Find where a video stands still (freezedetect) and where it is silent
+ * (silencedetect), in one decode
+ * @param {string} inputPath - Path to the video
+ * @param {Object} options
+ * @param {Object} options.trim - Only look at this part, as for concatenateWithGaps
+ * @param {number} options.minDuration - Ignore shorter still or silent stretches (default: 2)
+ * @param {number} options.stillNoise - Frame difference in dB below which the picture counts as still (default: -50)
+ * @param {number} options.silenceNoise - Level in dB below which the audio counts as silent (default: -40)
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<Object>} { duration, still, silent } - intervals of { start, end }
+ *   in seconds from the (trimmed) start; silent is null for a video without audio
+ */
+export async function detectStillness(inputPath, options = {}) {
+  const {
+    trim = null,
+    minDuration = 2,
+    stillNoise = DEFAULT_STILL_NOISE,
+    silenceNoise = DEFAULT_SILENCE_NOISE,
+    signal
+  } = options;
+  const [{ audio }, fullDuration] = await Promise.all([probeVideo(inputPath), getVideoDuration(inputPath)]);
+  const duration = trimmedDuration(fullDuration, trim);
+
+  return new Promise((resolve, reject) => {
+    // The detectors log every event; keep them all rather than the last lines fluent-ffmpeg holds on to
+    const lines = [];
+    const command = ffmpeg(inputPath)
+      .inputOptions(trimInputOptions(trim))
+      .videoFilters(['scale=320:-2', `freezedetect=n=${stillNoise}dB:d=${minDuration}`])
+      .outputOptions(['-f', 'null'])
+      .output('-');
+
+    if (audio) {
+      command.audioFilters(`silencedetect=n=${silenceNoise}dB:d=${minDuration}`);
+    } else {
+      command.noAudio();
+    }
+
+    command.on('stderr', (line) => {
+      if (line.includes('freeze_') || line.includes('silence_')) {
+        lines.push(line);
+      }
+    });
+    command.on('end', () => resolve({
+      duration,
+      still: collectIntervals(lines, /freeze_start: ([\d.]+)/, /freeze_end: ([\d.]+)/, duration),
+      silent: audio ? collectIntervals(lines, /silence_start: (-?[\d.]+)/, /silence_end: ([\d.]+)/, duration) : null
+    }));
+    command.on('error', (err) => reject(new Error(`Failed to analyse video: ${err.message}`)));
+
+    runCommand(command, signal);
+  });
+}
+
+/**
+ * atempo filters for a speed-up; one atempo only goes up to 2x
+ * @param {number} speed - How many times faster
+ * @returns {string[]} Filters
+ */
+function tempoFilters(speed) {
+  const filters = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    filters.push('atempo=2');
+    remaining /= 2;
+  }
+  return remaining > 1 ? [...filters, `atempo=${remaining}`] : filters;
+}
+
+/**
+ * Render some parts of a video one after the other, each at its own speed.
+ * Sped-up parts are muted and marked with e.g. "8x" in the top right corner.
+ * @param {string} inputPath - Path to input video
+ * @param {string} outputPath - Path for output video
+ * @param {Object[]} segments - { start, end, speed } in seconds, in order; speed defaults to 1
+ * @param {Function} onProgress - Progress callback (percent: 0-100)
+ * @param {Object} options - Run options
+ * @param {boolean} options.indicator - Mark sped-up parts (default: true)
+ * @param {AbortSignal} options.signal - Kills the ffmpeg process when aborted
+ * @returns {Promise<void>}
+ */
+export async function renderSegments(inputPath, outputPath, segments, onProgress, options = {}) {
+  const { indicator = true } = options;
+
+  if (!segments || segments.length === 0) {
+    throw new Error('No segments to render');
+  }
+
+  const { audio } = await probeVideo(inputPath);
+  const totalDuration = segments.reduce((sum, { start, end, speed = 1 }) => sum + (end - start) / speed, 0);
+  const count = segments.length;
+
+  return new Promise((resolve, reject) => {
+    const filterParts = [
+      `[0:v]split=${count}${segments.map((segment, i) => `[vs${i}]`).join('')}`,
+      ...(audio ? [`[0:a]asplit=${count}${segments.map((segment, i) => `[as${i}]`).join('')}`] : []),
+      ...segments.flatMap(({ start, end, speed = 1 }, i) => {
+        const video = [`trim=start=${start}:end=${end}`, speed > 1 ? `setpts=(PTS-STARTPTS)/${speed}` : 'setpts=PTS-STARTPTS'];
+        const sound = [`atrim=start=${start}:end=${end}`, 'asetpts=PTS-STARTPTS'];
+        if (speed > 1) {
+          if (indicator) {
+            video.push(`drawtext=text='${speed}x':fontcolor=white:fontsize=h*0.08:box=1:boxcolor=black@0.5:boxborderw=10:x=w-text_w-h*0.03:y=h*0.03`);
+          }
+          // atempo keeps the audio as long as the video; it is muted all the same
+          sound.push(...tempoFilters(speed), 'volume=0');
+        }
+        return [
+          `[vs${i}]${video.join(',')}[v${i}]`,
+          ...(audio ? [`[as${i}]${sound.join(',')}[a${i}]`] : [])
+        ];
+      }),
+      `${segments.map((segment, i) => (audio ? `[v${i}][a${i}]` : `[v${i}]`)).join('')}concat=n=${count}:v=1:a=${audio ? 1 : 0}[v]${audio ? '[a]' : ''}`
+    ];
+
+    const command = ffmpeg(inputPath)
+      .complexFilter(filterParts.join(';'))
+      .outputOptions([
+        '-map', '[v]',
+        ...(audio ? ['-map', '[a]'] : []),
+        '-preset', 'veryfast',
+        '-crf', '18'
+      ])
+      .videoCodec('libx264')
+      .output(outputPath);
+
+    if (audio) {
+      command.audioCodec('aac').audioBitrate('192k');
+    }
+
+    command.on('progress', (progress) => {
+      if (onProgress && progress.timemark) {
+        onProgress(Math.min(99, Math.round((parseTimemark(progress.timemark) / totalDuration) * 100)));
+      }
+    });
+    command.on('end', () => resolve());
+    command.on('error', (err) => reject(new Error(`Failed to render segments: ${err.message}`)));
+
+    runCommand(command, options.signal);
   });
 }
@@ -0,0 +1,112 @@
+import { EventEmitter } from 'events';
+import { jobChanges, getJob, toPublicJob } from './jobStore.js';
+
+// Events kept per job so a reconnecting client can catch up (Last-Event-ID)
+const MAX_BUFFERED_EVENTS = 500;
+
+// How long to keep a finished job's events around for late reconnects
+const FINISHED_RETENTION_MS = 5 * 60 * 1000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const streams = new Map(); // jobId -> { nextId, buffer: [{ id, type, data }] }
+
+function getStream(jobId) {
+  let stream = streams.get(jobId);
+  if (!stream) {
+    stream = { nextId: 1, buffer: [] };
+    streams.set(jobId, stream);
+  }
+  return stream;
+}
+
+/**
+ * Publish an event to everyone listening to a job
+ * @param {string} jobId - Job identifier
+ * @param {string} type - Event type (stage, progress, log, done, failed, cancelled)
+ * @param {Object} data - Event payload
+ */
+export function publishJobEvent(jobId, type, data) {
+  const stream = getStream(jobId);
+  const event = { id: stream.nextId++, type, data };
+
+  stream.buffer.push(event);
+  if (stream.buffer.length > MAX_BUFFERED_EVENTS) {
+    stream.buffer.shift();
+  }
+
+  bus.emit(jobId, event);
+}
+
+/**
+ * Publish a log line for a job
+ * @param {string} jobId - Job identifier
+ * @param {string} message - Log message
+ */
+export function appendJobLog(jobId, message) {
+  publishJobEvent(jobId, 'log', { message, time: new Date().toISOString() });
+}
+
+/**
+ * Listen to a job's events, replaying buffered events newer than lastEventId
+ * @param {string} jobId - Job identifier
+ * @param {number} lastEventId - Last event the client saw (0 for none)
+ * @param {Function} listener - Called with each { id, type, data }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJobEvents(jobId, lastEventId, listener) {
+  const stream = streams.get(jobId);
+
+  // IDs restart with the server, so an ID from the future means replay everything
+  if (stream) {
+    const since = lastEventId < stream.nextId ? lastEventId : 0;
+    stream.buffer
+      .filter(event => event.id > since)
+      .forEach(listener);
+  }
+
+  bus.on(jobId, listener);
+  return () => bus.off(jobId, listener);
+}
+
+// Turn job store changes into stage/progress/terminal events
+jobChanges.on('update', (job, previous) => {
+  // A resumed job starts a new run: forget the last run's events (its
+  // terminal one above all) but keep counting IDs, so reconnects still work
+  if (job.status === 'processing' && previous.status !== 'processing') {
+    const stream = streams.get(job.id);
+    if (stream) {
+      stream.buffer = [];
+    }
+  }
+
+  if (job.stage !== previous.stage && job.stage) {
+    publishJobEvent(job.id, 'stage', { stage: job.stage });
+  }
+
+  if (job.progress !== previous.progress) {
+    publishJobEvent(job.id, 'progress', { progress: job.progress });
+  }
+
+  if (job.status === previous.status) {
+    return;
+  }
+
+  if (job.status === 'done') {
+    publishJobEvent(job.id, 'done', toPublicJob(job));
+  } else if (job.status === 'error' || job.status === 'interrupted') {
+    // Not called 'error': EventSource uses that name for connection errors
+    publishJobEvent(job.id, 'failed', { error: job.error });
+  } else if (job.status === 'cancelled') {
+    publishJobEvent(job.id, 'cancelled', {});
+  }
+
+  if (job.status !== 'processing') {
+    setTimeout(() => {
+      if (bus.listenerCount(job.id) === 0 && getJob(job.id)?.status !== 'processing') {
+        streams.delete(job.id);
+      }
+    }, FINISHED_RETENTION_MS).unref();
+  }
+});
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Job records are kept in a single JSON file on local disk
+const dataDir = path.join(__dirname, '../../data');
+const storePath = path.join(dataDir, 'jobs.json');
+
+// Each job gets its own working directory under output/jobs/<jobId>
+const jobsBaseDir = path.join(__dirname, '../../output/jobs');
+
+// Progress updates arrive many times per second; batch them into one write
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Read the store from disk. Jobs that were still running when the server
+ * stopped can't be continued by a process that no longer exists, so they
+ * are marked as interrupted.
+ */
+function loadFromDisk() {
+  const jobs = new Map();
+
+  if (!fs.existsSync(storePath)) {
+    return jobs;
+  }
+
+  try {
+    const records = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    for (const job of records) {
+      if (job.status === 'processing') {
+        job.status = 'interrupted';
+        job.error = 'Interrupted by server restart';
+        job.updatedAt = new Date().toISOString();
+        job.finishedAt = job.updatedAt;
+      }
+      jobs.set(job.id, job);
+    }
+  } catch (error) {
+    console.error(`Could not read job store ${storePath}: ${error.message}`);
+  }
+
+  return jobs;
+}
+
+const jobs = loadFromDisk();
+let saveTimer = null;
+
+// Emits 'update' (job, previous) whenever a job changes
+export const jobChanges = new EventEmitter();
+
+/**
+ * Write all jobs to disk (temp file + rename so a crash never leaves half a file)
+ */
+function saveNow() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tempPath = `${storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify([...jobs.values()], null, 2));
+    fs.renameSync(tempPath, storePath);
+  } catch (error) {
+    console.error(`Could not write job store ${storePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Schedule a batched write (used for progress-only updates)
+ */
+function scheduleSave() {
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveNow, SAVE_DELAY_MS);
+  }
+}
+
+// Persist any changes the loader made (e.g. interrupted jobs)
+if (jobs.size > 0) {
+  saveNow();
+}
+
+/**
+ * Get the working directory for a job (intermediates + final output)
+ * @param {string} jobId - Job identifier
+ * @returns {string} Absolute path
+ */
+export function getJobDir(jobId) {
+  return path.join(jobsBaseDir, jobId);
+}
+
+/**
+ * Remove a job's working directory (intermediates and any output)
+ * @param {string} jobId - Job identifier
+ */
+export async function removeJobFiles(jobId) {
+  try {
+    await fs.promises.rm(getJobDir(jobId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`Could not remove files for job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Create and persist a new job record
+ * @param {Object} job - Initial job fields (must include id)
+ * @returns {Object} The stored job
+ */
+export function createJob(job) {
+  const now = new Date().toISOString();
+  const record = {
+    id: job.id,
+    status: 'processing',
+    stage: null,
+    progress: 0,
+    error: null,
+    checkpoints: {},
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    ...job
+  };
+
+  jobs.set(record.id, record);
+  saveNow();
+  return record;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job identifier
+ * @returns {Object|undefined} The job, if it exists
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId);
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filter - Optional filter
+ * @param {string} filter.projectId - Only jobs of this project
+ * @returns {Object[]} Job records
+ */
+export function listJobs({ projectId } = {}) {
+  return [...jobs.values()]
+    .filter(job => !projectId || job.projectId === projectId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Remove a job record
+ * @param {string} jobId - Job identifier
+ * @returns {boolean} True if the job existed
+ */
+export function deleteJob(jobId) {
+  const existed = jobs.delete(jobId);
+  if (existed) {
+    saveNow();
+  }
+  return existed;
+}
+
+/**
+ * Merge updates into a job and persist them.
+ * Status and stage changes are written immediately, progress is batched.
+ * @param {string} jobId - Job identifier
+ * @param {Object} updates - Fields to change
+ * @returns {Object|undefined} The updated job
+ */
+export function updateJob(jobId, updates) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return undefined;
+  }
+
+  const significant = Object.keys(updates).some(key => key !== 'progress' && updates[key] !== job[key]);
+  const updated = { ...job, ...updates, updatedAt: new Date().toISOString() };
+
+  if (updates.status && updates.status !== 'processing' && !updated.finishedAt) {
+    updated.finishedAt = updated.updatedAt;
+  }
+
+  jobs.set(jobId, updated);
+  jobChanges.emit('update', updated, job);
+
+  if (significant) {
+    saveNow();
+  } else {
+    scheduleSave();
+  }
+
+  return updated;
+}
+
+/**
+ * Job fields exposed to the client (file paths stay server-side)
+ * @param {Object} job - Stored job record
+ * @returns {Object} Job without server-only fields
+ */
+export function toPublicJob(job) {
+  const { outputPath, checkpoints = {}, ...publicJob } = job;
+  return { ...publicJob, completedStages: Object.keys(checkpoints) };
+}
@@ -0,0 +1,97 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { extractFrame } from './ffmpeg.js';
+
+// Xiaomi cameras burn "2025/12/01 20:14:20" into the top-left corner. Same
+// 700x70 area as the thumbnails, enlarged and in grayscale for the OCR
+const OVERLAY_FILTER = 'crop=min(700\\,iw):min(70\\,ih):0:0,scale=iw*2:-1,format=gray';
+
+// Local tesseract binary (override with TESSERACT_PATH)
+const TESSERACT = process.env.TESSERACT_PATH || 'tesseract';
+const OCR_TIMEOUT_MS = 15000;
+
+// Digits of "YYYY/MM/DD HH:MM:SS", tolerating misread separators
+const TIMESTAMP_PATTERN = /(\d{4})\D{0,2}(\d{2})\D{0,2}(\d{2})\D{1,3}(\d{2})\D{0,2}(\d{2})\D{0,2}(\d{2})/;
+
+let tesseractMissing = false;
+
+/**
+ * Turn OCR output into a local wall-clock time
+ * @param {string} text - Text read from the overlay
+ * @returns {string|null} "YYYY-MM-DDTHH:MM:SS" (camera local time, no zone), or null
+ */
+export function parseOverlayTimestamp(text) {
+  const match = TIMESTAMP_PATTERN.exec(text.replace(/[oO]/g, '0'));
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const valid = month >= 1 && month <= 12 && day >= 1 && day <= 31 &&
+    hour <= 23 && minute <= 59 && second <= 59;
+
+  return valid ? `${year}-${month}-${day}T${hour}:${minute}:${second}` : null;
+}
+
+function runTesseract(imagePath) {
+  return new Promise((resolve, reject) => {
+    execFile(TESSERACT, [imagePath, 'stdout', '--psm', '7'], { timeout: OCR_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Read the burned-in timestamp from one frame
+ * @param {string} videoPath - Path to the video
+ * @param {number} seconds - Position of the frame
+ * @returns {Promise<string|null>} Wall-clock time, or null if unreadable
+ */
+async function readFrameTimestamp(videoPath, seconds) {
+  const imagePath = path.join(os.tmpdir(), `koditraining-ocr-${uuidv4()}.png`);
+
+  try {
+    await extractFrame(videoPath, imagePath, seconds, OVERLAY_FILTER);
+    return parseOverlayTimestamp(await runTesseract(imagePath));
+  } finally {
+    await fs.rm(imagePath, { force: true });
+  }
+}
+
+/**
+ * Read the wall-clock start and end of a clip from the timestamp overlay on
+ * its first and last frames
+ * @param {string} videoPath - Path to the video
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Promise<Object|null>} { start, end } ("YYYY-MM-DDTHH:MM:SS" or null
+ *   each), or null when OCR is unavailable or nothing could be read
+ */
+export async function readWallClock(videoPath, duration) {
+  if (tesseractMissing) {
+    return null;
+  }
+
+  try {
+    const start = await readFrameTimestamp(videoPath, 0);
+    const end = Number.isFinite(duration)
+      ? await readFrameTimestamp(videoPath, Math.max(0, duration - 0.5))
+      : null;
+
+    return start || end ? { start, end } : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      tesseractMissing = true;
+      console.warn(`OCR disabled: "${TESSERACT}" not found (install tesseract or set TESSERACT_PATH)`);
+    } else {
+      console.warn(`Could not read timestamp overlay of ${path.basename(videoPath)}: ${error.message}`);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,246 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+import { listJobs, updateJob } from './jobStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Project records live next to the job store
+const dataDir = path.join(__dirname, '../../data');
+const storePath = path.join(dataDir, 'projects.json');
+
+const uploadsBase = path.join(__dirname, '../../uploads');
+const thumbnailsBase = path.join(__dirname, '../../thumbnails');
+const previewsBase = path.join(__dirname, '../../output/previews');
+
+// Cameras are named by letter; a project starts with two and can have up to nine
+export const CAMERA_IDS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'];
+const DEFAULT_CAMERAS = ['a', 'b'];
+const MIN_CAMERAS = 2;
+
+/**
+ * Directory holding a project's uploads for one camera
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @returns {string} Absolute path
+ */
+export function getUploadDir(projectId, camera) {
+  return path.join(uploadsBase, projectId, camera);
+}
+
+/**
+ * Directory holding a project's thumbnails for one camera
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @returns {string} Absolute path
+ */
+export function getThumbnailDir(projectId, camera) {
+  return path.join(thumbnailsBase, projectId, camera);
+}
+
+/**
+ * Where a project's latest sync preview is rendered
+ * @param {string} projectId - Project identifier
+ * @returns {string} Absolute path
+ */
+export function getPreviewPath(projectId) {
+  return path.join(previewsBase, `${projectId}.mp4`);
+}
+
+function ensureCameraDirs(projectId, camera) {
+  fs.mkdirSync(getUploadDir(projectId, camera), { recursive: true });
+  fs.mkdirSync(getThumbnailDir(projectId, camera), { recursive: true });
+}
+
+function newProject(name) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    name,
+    cameras: [...DEFAULT_CAMERAS],
+    order: Object.fromEntries(DEFAULT_CAMERAS.map(camera => [camera, []])),
+    config: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Move files from the old global workspace (uploads/a, uploads/b, ...) into
+ * a project's directories
+ */
+function moveLegacyFiles(fromBase, toDir, camera) {
+  const legacyDir = path.join(fromBase, camera);
+  if (!fs.existsSync(legacyDir)) {
+    return;
+  }
+
+  for (const entry of fs.readdirSync(legacyDir)) {
+    fs.renameSync(path.join(legacyDir, entry), path.join(toDir, entry));
+  }
+  fs.rmdirSync(legacyDir);
+}
+
+/**
+ * First start with projects: put the existing global workspace and its jobs
+ * into a "Default" project so nothing is lost
+ */
+function createDefaultProject() {
+  const project = newProject('Default');
+
+  project.cameras.forEach(camera => {
+    ensureCameraDirs(project.id, camera);
+    moveLegacyFiles(uploadsBase, getUploadDir(project.id, camera), camera);
+    moveLegacyFiles(thumbnailsBase, getThumbnailDir(project.id, camera), camera);
+  });
+
+  listJobs()
+    .filter(job => !job.projectId)
+    .forEach(job => updateJob(job.id, { projectId: project.id }));
+
+  return project;
+}
+
+function loadFromDisk() {
+  const projects = new Map();
+
+  if (fs.existsSync(storePath)) {
+    try {
+      const records = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      // Projects from before the camera list always had cameras A and B
+      records.forEach(project => projects.set(project.id, { cameras: [...DEFAULT_CAMERAS], ...project }));
+    } catch (error) {
+      console.error(`Could not read project store ${storePath}: ${error.message}`);
+    }
+  } else {
+    const project = createDefaultProject();
+    projects.set(project.id, project);
+  }
+
+  return projects;
+}
+
+const projects = loadFromDisk();
+
+/**
+ * Write all projects to disk (temp file + rename so a crash never leaves half a file)
+ */
+function saveNow() {
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tempPath = `${storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify([...projects.values()], null, 2));
+    fs.renameSync(tempPath, storePath);
+  } catch (error) {
+    console.error(`Could not write project store ${storePath}: ${error.message}`);
+  }
+}
+
+saveNow();
+
+/**
+ * List all projects, most recently updated first
+ * @returns {Object[]} Project records
+ */
+export function listProjects() {
+  return [...projects.values()].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get a project by ID
+ * @param {string} projectId - Project identifier
+ * @returns {Object|undefined} The project, if it exists
+ */
+export function getProject(projectId) {
+  return projects.get(projectId);
+}
+
+/**
+ * Create a project with empty uploads and order
+ * @param {string} name - Display name
+ * @returns {Object} The new project
+ */
+export function createProject(name) {
+  const project = newProject(name);
+  project.cameras.forEach(camera => ensureCameraDirs(project.id, camera));
+  projects.set(project.id, project);
+  saveNow();
+  return project;
+}
+
+/**
+ * Merge updates into a project and persist them
+ * @param {string} projectId - Project identifier
+ * @param {Object} updates - Fields to change (name, cameras, order, config)
+ * @returns {Object|undefined} The updated project
+ */
+export function updateProject(projectId, updates) {
+  const project = projects.get(projectId);
+  if (!project) {
+    return undefined;
+  }
+
+  const updated = { ...project, ...updates, updatedAt: new Date().toISOString() };
+  projects.set(projectId, updated);
+  saveNow();
+  return updated;
+}
+
+/**
+ * Add the next free camera to a project
+ * @param {string} projectId - Project identifier
+ * @returns {Object|null} The updated project, or null if it already has every camera
+ */
+export function addCamera(projectId) {
+  const project = projects.get(projectId);
+  const camera = CAMERA_IDS.find(id => !project.cameras.includes(id));
+  if (!camera) {
+    return null;
+  }
+
+  ensureCameraDirs(projectId, camera);
+  return updateProject(projectId, {
+    cameras: CAMERA_IDS.filter(id => id === camera || project.cameras.includes(id)),
+    order: { ...project.order, [camera]: [] }
+  });
+}
+
+/**
+ * Remove a camera from a project, with its uploaded files
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera to remove
+ * @returns {Object|null} The updated project, or null if it is down to two cameras
+ */
+export function removeCamera(projectId, camera) {
+  const project = projects.get(projectId);
+  if (project.cameras.length <= MIN_CAMERAS) {
+    return null;
+  }
+
+  fs.rmSync(getUploadDir(projectId, camera), { recursive: true, force: true });
+  fs.rmSync(getThumbnailDir(projectId, camera), { recursive: true, force: true });
+
+  const { [camera]: _removed, ...order } = project.order;
+  return updateProject(projectId, {
+    cameras: project.cameras.filter(id => id !== camera),
+    order
+  });
+}
+
+/**
+ * Delete a project and its uploaded files
+ * @param {string} projectId - Project identifier
+ * @returns {boolean} True if the project existed
+ */
+export function deleteProject(projectId) {
+  if (!projects.delete(projectId)) {
+    return false;
+  }
+
+  fs.rmSync(path.join(uploadsBase, projectId), { recursive: true, force: true });
+  fs.rmSync(path.join(thumbnailsBase, projectId), { recursive: true, force: true });
+  fs.rmSync(getPreviewPath(projectId), { force: true });
+  saveNow();
+  return true;
+}
@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { getUploadDir } from './projectStore.js';
+
+// Metadata for each upload sits beside it in <uploadDir>/.meta/<id>.json,
+// since the file itself is stored as <id>.<ext>
+const META_DIR = '.meta';
+
+// Chunked uploads in progress: <uploadDir>/.partial/<id>.part plus <id>.json
+const PARTIAL_DIR = '.partial';
+
+function getMetaPath(projectId, camera, id) {
+  return path.join(getUploadDir(projectId, camera), META_DIR, `${id}.json`);
+}
+
+function getPartialPaths(projectId, camera, id) {
+  const dir = path.join(getUploadDir(projectId, camera), PARTIAL_DIR);
+  return {
+    data: path.join(dir, `${id}.part`),
+    session: path.join(dir, `${id}.json`)
+  };
+}
+
+function readMeta(projectId, camera, id) {
+  try {
+    return JSON.parse(fs.readFileSync(getMetaPath(projectId, camera, id), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find an uploaded video by ID (files are stored as id.ext)
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ * @returns {string|null} Absolute path, or null if there is no such upload
+ */
+export function findUploadPath(projectId, camera, id) {
+  const dir = getUploadDir(projectId, camera);
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+
+  const file = fs.readdirSync(dir).find(f => path.parse(f).name === id);
+  return file ? path.join(dir, file) : null;
+}
+
+/**
+ * Record the metadata of a freshly uploaded video
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {Object} meta - { id, filename, duration, size, lastModified, probe, wallClock }
+ */
+export function saveUploadMeta(projectId, camera, meta) {
+  const metaPath = getMetaPath(projectId, camera, meta.id);
+  fs.mkdirSync(path.dirname(metaPath), { recursive: true });
+  fs.writeFileSync(metaPath, JSON.stringify({ ...meta, camera, uploadedAt: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * Describe an upload the way the upload endpoint reports it
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ * @returns {Object|null} { id, filename, camera, path, duration, size, lastModified, probe, wallClock, trim },
+ *   or null if missing
+ */
+export function getUpload(projectId, camera, id) {
+  const filePath = findUploadPath(projectId, camera, id);
+  if (!filePath) {
+    return null;
+  }
+
+  // Uploads from before the metadata store only know their stored name
+  const meta = readMeta(projectId, camera, id) || {};
+
+  return {
+    id,
+    filename: meta.filename || path.basename(filePath),
+    camera,
+    path: filePath,
+    duration: Number.isFinite(meta.duration) ? meta.duration : null,
+    size: fs.statSync(filePath).size,
+    lastModified: meta.lastModified ?? null,
+    probe: meta.probe || null,
+    wallClock: meta.wallClock || null,
+    trim: meta.trim || null
+  };
+}
+
+/**
+ * Set the part of an upload the pipeline uses
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ * @param {Object|null} trim - { start, end } in seconds (end null for the clip's end), or null for all of it
+ * @returns {Object|null} The upload as returned by getUpload, or null if missing
+ */
+export function setUploadTrim(projectId, camera, id, trim) {
+  if (!findUploadPath(projectId, camera, id)) {
+    return null;
+  }
+
+  const metaPath = getMetaPath(projectId, camera, id);
+  fs.mkdirSync(path.dirname(metaPath), { recursive: true });
+  fs.writeFileSync(metaPath, JSON.stringify({ ...readMeta(projectId, camera, id), trim }, null, 2));
+  return getUpload(projectId, camera, id);
+}
+
+// Filenames compare with numbers as numbers, so clip_9 comes before clip_10
+function compareFilenames(x, y) {
+  return x.filename.localeCompare(y.filename, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// When each upload was recorded, by strategy; null if unknown
+const SORT_KEYS = {
+  overlay: upload => Date.parse(upload.wallClock?.start) || null,
+  creation_time: upload => Date.parse(upload.probe?.creationTime) || SORT_KEYS.mtime(upload),
+  mtime: upload => upload.lastModified ?? null,
+  filename: () => null
+};
+
+export const SORT_STRATEGIES = Object.keys(SORT_KEYS);
+
+/**
+ * Order uploads by recording time.
+ * 'overlay' uses the timestamp burned into the first frame, 'creation_time'
+ * the container's creation_time (falling back to the file's modification
+ * time), 'mtime' the modification time reported by the browser, 'filename'
+ * natural filename order. Clips without a time go last;
+ * ties are broken by filename.
+ * Burned-in timestamps are local time while creation_time is UTC, so they
+ * can't be mixed: if any clip's overlay couldn't be read, 'overlay' orders
+ * the whole batch by creation_time instead.
+ * @param {Object[]} uploads - Uploads as returned by getUpload
+ * @param {string} strategy - One of SORT_STRATEGIES
+ * @returns {Object[]} A sorted copy
+ */
+export function sortUploads(uploads, strategy) {
+  const unreadable = strategy === 'overlay' && uploads.some(upload => SORT_KEYS.overlay(upload) === null);
+  const key = SORT_KEYS[unreadable ? 'creation_time' : strategy] || SORT_KEYS.filename;
+
+  return [...uploads].sort((x, y) => {
+    const kx = key(x);
+    const ky = key(y);
+    if (kx !== ky) {
+      if (kx === null) return 1;
+      if (ky === null) return -1;
+      return kx - ky;
+    }
+    return compareFilenames(x, y);
+  });
+}
+
+/**
+ * List a camera's uploads, oldest first
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @returns {Object[]} Uploads as returned by getUpload
+ */
+export function listUploads(projectId, camera) {
+  const dir = getUploadDir(projectId, camera);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => ({ id: path.parse(entry.name).name, mtimeMs: fs.statSync(path.join(dir, entry.name)).mtimeMs }))
+    .sort((x, y) => x.mtimeMs - y.mtimeMs)
+    .map(({ id }) => getUpload(projectId, camera, id));
+}
+
+/**
+ * Delete an upload together with its metadata
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ * @returns {boolean} True if the upload existed
+ */
+export function removeUpload(projectId, camera, id) {
+  const filePath = findUploadPath(projectId, camera, id);
+  if (!filePath) {
+    return false;
+  }
+
+  fs.unlinkSync(filePath);
+  fs.rmSync(getMetaPath(projectId, camera, id), { force: true });
+  return true;
+}
+
+/**
+ * Start a chunked upload
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {Object} file - { id, filename, size, lastModified }
+ * @returns {Object} The session: { id, filename, size, lastModified, offset }
+ */
+export function createUploadSession(projectId, camera, { id, filename, size, lastModified = null }) {
+  const paths = getPartialPaths(projectId, camera, id);
+  fs.mkdirSync(path.dirname(paths.data), { recursive: true });
+  fs.writeFileSync(paths.data, '');
+  fs.writeFileSync(paths.session, JSON.stringify({ id, filename, size, lastModified, createdAt: new Date().toISOString() }, null, 2));
+  return { id, filename, size, lastModified, offset: 0 };
+}
+
+/**
+ * Get a chunked upload and how many bytes the server already has
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ * @returns {Object|null} { id, filename, size, lastModified, offset }, or null if there is no such session
+ */
+export function getUploadSession(projectId, camera, id) {
+  const paths = getPartialPaths(projectId, camera, id);
+
+  try {
+    const session = JSON.parse(fs.readFileSync(paths.session, 'utf8'));
+    return {
+      id: session.id,
+      filename: session.filename,
+      size: session.size,
+      lastModified: session.lastModified ?? null,
+      offset: fs.statSync(paths.data).size
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Append a chunk to a chunked upload
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ * @param {Buffer} chunk - Bytes starting at the session's current offset
+ * @returns {number} The new offset
+ */
+export function appendUploadChunk(projectId, camera, id, chunk) {
+  const { data } = getPartialPaths(projectId, camera, id);
+  fs.appendFileSync(data, chunk);
+  return fs.statSync(data).size;
+}
+
+/**
+ * Move a fully received chunked upload into place as <id>.<ext>
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ * @returns {string} Absolute path of the stored video
+ */
+export function completeUploadSession(projectId, camera, id) {
+  const paths = getPartialPaths(projectId, camera, id);
+  const { filename } = JSON.parse(fs.readFileSync(paths.session, 'utf8'));
+  const filePath = path.join(getUploadDir(projectId, camera), `${id}${path.extname(filename)}`);
+
+  fs.renameSync(paths.data, filePath);
+  fs.rmSync(paths.session, { force: true });
+  return filePath;
+}
+
+/**
+ * Abandon a chunked upload and drop the bytes received so far
+ * @param {string} projectId - Project identifier
+ * @param {string} camera - Camera ('a', 'b', ...)
+ * @param {string} id - Upload identifier
+ */
+export function removeUploadSession(projectId, camera, id) {
+  const paths = getPartialPaths(projectId, camera, id);
+  fs.rmSync(paths.data, { force: true });
+  fs.rmSync(paths.session, { force: true });
+}